@@ -0,0 +1,355 @@
+/**
+ * Registration of the built in modes of antialiasing. Experimental modes may
+ * be added the same way from any script loaded after RenderLoop.js.
+ */
+
+
+/**
+ * Render the scene straight to the canvas
+ * 
+ * @param renderLoop the RenderLoop whose scene is rendered
+ */
+function renderSceneDirectly(renderLoop) {
+    renderLoop.renderer.setRenderTarget(null);
+    renderLoop.renderer.setClearColor(0x000000);
+    renderLoop.renderer.render(renderLoop.scene, renderLoop.camera);
+}
+
+
+/**
+ * Create an EffectComposer with the given passes, where the last pass renders
+ * to the screen
+ * 
+ * @param renderLoop the RenderLoop whose renderer is used
+ * @param passes the passes to add to the composer
+ * @param hdr whether the targets of the composer hold half float color rather
+ *        than bytes, for passes working on linear HDR color
+ */
+function createComposer(renderLoop, passes, hdr) {
+    let renderTarget;
+    if (hdr) {
+        let {width, height} = renderLoop.renderer.getSize(new THREE.Vector2());
+        renderTarget = new THREE.WebGLRenderTarget(width, height, {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            format: THREE.RGBAFormat,
+            type: THREE.HalfFloatType,
+            stencilBuffer: false
+        });
+    }
+
+    let composer = new THREE.EffectComposer(renderLoop.renderer, renderTarget);
+    for (let pass of passes)
+        composer.addPass(pass);
+
+    passes[passes.length - 1].renderToScreen = true;
+    return composer;
+}
+
+
+/**
+ * Create a render target the size of the canvas with multisampled color and
+ * depth, which is resolved at the end of every render to it. Returns null
+ * without a WebGL2 context, which multisampled targets need.
+ *
+ * @param renderLoop the RenderLoop whose renderer is used
+ * @param samples the number of samples per pixel, limited to the most the
+ *        device supports
+ */
+function createMultisampleTarget(renderLoop, samples) {
+    let {renderer} = renderLoop;
+    if (!renderer.capabilities.isWebGL2)
+        return null;
+
+    let {width, height} = renderer.getSize(new THREE.Vector2());
+    return new THREE.WebGLRenderTarget(width, height, {
+        minFilter: THREE.LinearFilter,
+        magFilter: THREE.LinearFilter,
+        format: THREE.RGBAFormat,
+        stencilBuffer: false,
+        samples: Math.min(samples, renderer.capabilities.maxSamples)
+    });
+}
+
+
+/**
+ * Create the definition of a mode that renders the scene to a multisampled
+ * target and copies the resolved image to the canvas. This works on the same
+ * context as every other mode, so switching to it is instant.
+ *
+ * @param samples the number of samples per pixel
+ */
+function createMsaaModeDefinition(samples) {
+    return {
+        create: (renderLoop) => {
+            let target = createMultisampleTarget(renderLoop, samples);
+            if (!target)
+                console.warn("Multisampled render targets need WebGL2, rendering without MSAA");
+
+            return {target: target, targetCopier: new TargetCopier(renderLoop)};
+        },
+
+        render: (renderLoop, state) => {
+            if (!state.target) {
+                renderSceneDirectly(renderLoop);
+                return;
+            }
+
+            renderLoop.renderer.setRenderTarget(state.target);
+            renderLoop.renderer.setClearColor(0x000000);
+            renderLoop.renderer.render(renderLoop.scene, renderLoop.camera);
+            state.targetCopier.copy(state.target, null);
+        },
+
+        dispose: (renderLoop, state) => {
+            if (state.target)
+                state.target.dispose();
+            state.targetCopier.dispose();
+        },
+
+        setSize: (renderLoop, state, width, height) => {
+            if (state.target)
+                state.target.setSize(width, height);
+        }
+    };
+}
+
+
+/**
+ * Create the definition of a mode that renders with a TaaRenderPass followed
+ * by a TonemapPass, and optionally a SharpenPass
+ * 
+ * @param getTaaOptions a function given the RenderLoop which returns the
+ *        options for the TaaRenderPass
+ */
+function createTaaModeDefinition(getTaaOptions) {
+    return {
+        create: (renderLoop) => {
+            let {operator, exposure} = renderLoop.tonemapOptions;
+            let taaPass = new TaaRenderPass(renderLoop, getTaaOptions(renderLoop));
+            let tonemapPass = new TonemapPass(renderLoop, operator, exposure);
+            let state = {
+                taaPass: taaPass,
+                tonemapPass: tonemapPass,
+                sharpenPass: null,
+                composer: createComposer(renderLoop, [taaPass, tonemapPass], true /*hdr*/)
+            };
+
+            updateSharpenPass(renderLoop, state);
+            return state;
+        },
+
+        // The frame time is passed on so feedback can account for it
+        render: (renderLoop, state, timeDifference) => state.composer.render(timeDifference),
+
+        dispose: (renderLoop, state) => {
+            state.taaPass.dispose();
+            state.tonemapPass.dispose();
+            if (state.sharpenPass)
+                state.sharpenPass.dispose();
+            state.composer.dispose();
+        },
+
+        // The composer forwards the new size to its passes
+        setSize: (renderLoop, state, width, height) => state.composer.setSize(width, height),
+
+        optionsChanged: (renderLoop, state) => {
+            state.taaPass.setOptions(getTaaOptions(renderLoop));
+            state.tonemapPass.operator = renderLoop.tonemapOptions.operator;
+            state.tonemapPass.exposure = renderLoop.tonemapOptions.exposure;
+            updateSharpenPass(renderLoop, state);
+        },
+
+        resetHistory: (renderLoop, state) => state.taaPass.resetHistory()
+    };
+}
+
+
+/**
+ * Add or remove the SharpenPass after the tonemapping of a TAA mode to match
+ * the sharpenOptions of the RenderLoop
+ * 
+ * @param renderLoop the RenderLoop the mode is rendering for
+ * @param state the state of the TAA mode
+ */
+function updateSharpenPass(renderLoop, state) {
+    let {enabled, strength} = renderLoop.sharpenOptions;
+    let passes = state.composer.passes;
+
+    if (state.sharpenPass && !enabled) {
+        passes.splice(passes.indexOf(state.sharpenPass), 1);
+        state.sharpenPass.dispose();
+        state.sharpenPass = null;
+    }
+
+    if (enabled && !state.sharpenPass) {
+        state.sharpenPass = new SharpenPass(renderLoop, strength);
+        state.sharpenPass.renderToScreen = true;
+        state.composer.addPass(state.sharpenPass);
+    }
+
+    if (state.sharpenPass)
+        state.sharpenPass.strength = strength;
+    state.tonemapPass.renderToScreen = !state.sharpenPass;
+}
+
+
+RenderLoop.registerAntialiasingMode('NONE', {
+    create: () => ({}),
+    render: renderSceneDirectly
+});
+
+
+RenderLoop.registerAntialiasingMode('MSAA_2X', createMsaaModeDefinition(2));
+RenderLoop.registerAntialiasingMode('MSAA_4X', createMsaaModeDefinition(4));
+RenderLoop.registerAntialiasingMode('MSAA_8X', createMsaaModeDefinition(8));
+
+// The name of the single MSAA mode before the sample count could be chosen,
+// kept for callers passing it. It is not registered, so it is listed once.
+AntiAliasingMode.MSAA = AntiAliasingMode.MSAA_4X;
+
+
+RenderLoop.registerAntialiasingMode('SSAA', {
+    create: (renderLoop) => {
+        let ssaaPass = new THREE.SSAARenderPass(renderLoop.scene, renderLoop.camera);
+        ssaaPass.sampleLevel = 3; // 8x SSAA
+
+        return {ssaaPass: ssaaPass, composer: createComposer(renderLoop, [ssaaPass])};
+    },
+
+    render: (renderLoop, state) => state.composer.render(),
+
+    dispose: (renderLoop, state) => {
+        state.ssaaPass.dispose();
+        state.composer.dispose();
+    },
+
+    setSize: (renderLoop, state, width, height) => state.composer.setSize(width, height)
+});
+
+
+RenderLoop.registerAntialiasingMode('TAA', createTaaModeDefinition(renderLoop => {
+    return Object.assign({}, renderLoop.taaOptions, {renderScale: 1.0});
+}));
+
+
+/**
+ * Material that shows motion vectors as colors, where gray is no movement.
+ * Reactive pixels are tinted blue.
+ * This material is compatible with TargetCopier.
+ */
+const motionViewMaterial = new THREE.ShaderMaterial({
+    vertexShader: THREE.CopyShader.vertexShader,
+
+    fragmentShader: `
+    ${MotionVectorRenderer.velocityShaderChunk}
+
+    uniform float opacity;
+    uniform float colorScale;
+    uniform sampler2D tDiffuse;
+    varying vec2 vUv;
+
+    void main() {
+        vec4 motion = texture2D(tDiffuse, vUv);
+        vec2 velocity = decodeVelocity(motion);
+        float blue = mix(0.5, 1.0, decodeReactive(motion));
+        gl_FragColor = opacity * vec4(0.5 + colorScale * velocity, blue, 1.0);
+    }`
+});
+
+
+RenderLoop.registerAntialiasingMode('MOTION', {
+    visualization: true,
+
+    create: (renderLoop) => {
+        let {width, height} = renderLoop.renderer.getSize(new THREE.Vector2());
+        let motionVecRenderer = new MotionVectorRenderer(renderLoop);
+        let material = motionViewMaterial.clone();
+
+        // Motion is tiny in UV units, so exaggerate it to be visible
+        material.uniforms.colorScale = {value: 50.0};
+
+        return {
+            motionVecRenderer: motionVecRenderer,
+            motionTarget: motionVecRenderer.createMotionTarget(width, height),
+            targetCopier: new TargetCopier(renderLoop),
+            material: material
+        };
+    },
+
+    render: (renderLoop, state) => {
+        state.motionVecRenderer.renderMotionMap(state.motionTarget);
+        state.targetCopier.copy(state.motionTarget, null, state.material);
+    },
+
+    dispose: (renderLoop, state) => {
+        state.motionVecRenderer.dispose();
+        state.motionTarget.dispose();
+        state.targetCopier.dispose();
+        state.material.dispose();
+    },
+
+    setSize: (renderLoop, state, width, height) => {
+        state.motionVecRenderer.setSize(width, height);
+        state.motionTarget.setSize(width, height);
+    },
+
+    resetHistory: (renderLoop, state) => state.motionVecRenderer.resetMotion()
+});
+
+
+RenderLoop.registerAntialiasingMode('TAAU', createTaaModeDefinition(renderLoop => {
+    return Object.assign({}, renderLoop.taaOptions, {renderScale: renderLoop.upsampleScale});
+}));
+
+
+RenderLoop.registerAntialiasingMode('FXAA', {
+    create: (renderLoop) => {
+        let {width, height} = renderLoop.renderer.getSize(new THREE.Vector2());
+        let fxaaPass = new THREE.ShaderPass(THREE.FXAAShader);
+        fxaaPass.uniforms.resolution.value.set(1 / width, 1 / height);
+
+        let renderPass = new THREE.RenderPass(renderLoop.scene, renderLoop.camera, null, 0x000000);
+        return {fxaaPass: fxaaPass, composer: createComposer(renderLoop, [renderPass, fxaaPass])};
+    },
+
+    render: (renderLoop, state) => state.composer.render(),
+
+    dispose: (renderLoop, state) => {
+        state.fxaaPass.dispose();
+        state.composer.dispose();
+    },
+
+    setSize: (renderLoop, state, width, height) => {
+        state.composer.setSize(width, height);
+        state.fxaaPass.uniforms.resolution.value.set(1 / width, 1 / height);
+    }
+});
+
+
+RenderLoop.registerAntialiasingMode('SMAA', {
+    create: (renderLoop) => {
+        let {width, height} = renderLoop.renderer.getSize(new THREE.Vector2());
+        let smaaPass = new THREE.SMAAPass(width, height);
+
+        let renderPass = new THREE.RenderPass(renderLoop.scene, renderLoop.camera, null, 0x000000);
+        return {smaaPass: smaaPass, composer: createComposer(renderLoop, [renderPass, smaaPass])};
+    },
+
+    render: (renderLoop, state) => state.composer.render(),
+
+    dispose: (renderLoop, state) => {
+        // Releases the edge and weight targets, the lookup textures and the
+        // materials of the pass
+        state.smaaPass.dispose();
+        state.composer.dispose();
+    },
+
+    setSize: (renderLoop, state, width, height) => state.composer.setSize(width, height)
+});
+
+
+// FXAA covers the first frames and areas where history is rejected
+RenderLoop.registerAntialiasingMode('TAA_FXAA', createTaaModeDefinition(renderLoop => {
+    return Object.assign({}, renderLoop.taaOptions, {renderScale: 1.0, spatialFallback: true});
+}));
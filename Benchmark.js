@@ -0,0 +1,552 @@
+/**
+ * Image quality benchmark of the antialiasing modes. A deterministic scene is
+ * rendered along a camera path through every mode, and each frame is compared
+ * against a supersampled reference. Settings are read from URL parameters:
+ *   - frames: number of frames rendered per mode (60 by default)
+ *   - width, height: resolution to render at (480x270 by default)
+ *   - samples: jittered samples accumulated per reference frame (64)
+ *   - warmup: frames left out of the metrics while history builds up (8)
+ *   - modes: comma separated names of modes to test (all but visualizations).
+ *     Unknown names and visualizations fail the benchmark.
+ *   - path: a camera path JSON file to use in place of the built in one
+ */
+
+
+/**
+ * Seed used for everything random in the benchmark scene
+ */
+const BENCHMARK_SEED = 1;
+
+
+/**
+ * Run the benchmark and show the report when done. The report is also kept in
+ * window.benchmarkResult for scripts driving a headless browser, with
+ * window.benchmarkError set instead if the benchmark failed.
+ */
+function runBenchmark() {
+    let params = new URLSearchParams(window.location.search);
+    let settings = {
+        frames: parseInt(params.get('frames')) || 60,
+        width: parseInt(params.get('width')) || 480,
+        height: parseInt(params.get('height')) || 270,
+        samples: parseInt(params.get('samples')) || 64,
+        warmupFrames: params.has('warmup') ? parseInt(params.get('warmup')) : 8,
+        frameTime: 1000 / 60
+    };
+
+    let settingsError = validateBenchmarkSettings(settings);
+    if (settingsError) {
+        failBenchmark(new Error(settingsError));
+        return;
+    }
+
+    let modes = RenderLoop.getAntialiasingModes().filter(mode => !mode.visualization);
+    if (params.has('modes')) {
+        let names = params.get('modes').split(',');
+        let unknownNames = names.filter(name => !modes.some(mode => mode.name == name));
+        if (unknownNames.length > 0) {
+            let knownNames = modes.map(mode => mode.name).join(', ');
+            failBenchmark(new Error("Unknown modes " + unknownNames.join(', ') + ", expected any of " + knownNames));
+            return;
+        }
+
+        modes = modes.filter(mode => names.includes(mode.name));
+    }
+
+    let canvasElement = document.getElementById('benchmark-canvas');
+    canvasElement.setAttribute('width', settings.width);
+    canvasElement.setAttribute('height', settings.height);
+
+    let scene = new THREE.Scene();
+    let camera = new THREE.PerspectiveCamera(45, settings.width / settings.height, 0.1, 1000);
+    let renderLoop = new RenderLoop({
+        scene: scene,
+        camera: camera,
+        canvasElement: canvasElement,
+        antialiasing: AntiAliasingMode.NONE,
+        fixedFrameTime: settings.frameTime,
+        seed: BENCHMARK_SEED
+    });
+    renderLoop.setSize(settings.width, settings.height);
+
+    let duration = settings.frames * settings.frameTime;
+    let pathLoaded = !params.has('path') ? Promise.resolve(createBenchmarkPath(duration)) : fetch(params.get('path'))
+        .then(response => {
+            if (!response.ok)
+                throw new Error("Failed to load camera path " + params.get('path') + ": " + response.status);
+            return response.json();
+        })
+        .then(json => CameraPath.fromJSON(json));
+
+    Promise.all([loadBenchmarkScene(renderLoop), pathLoaded]).then(([updateScene, path]) => {
+        let setTime = (time) => {
+            updateScene(time);
+            path.apply(time, camera);
+        };
+
+        return measureModes(renderLoop, setTime, modes, settings);
+    }).then(report => {
+        setBenchmarkStatus('Done');
+        showBenchmarkReport(report);
+        window.benchmarkResult = report;
+    }, failBenchmark);
+}
+
+
+/**
+ * Check the settings of the benchmark leave frames to measure
+ *
+ * @param settings the settings of the benchmark
+ * @return a description of what is wrong, or null if the settings are usable
+ */
+function validateBenchmarkSettings(settings) {
+    let {frames, width, height, samples, warmupFrames} = settings;
+    if (!(frames > 0 && width > 0 && height > 0 && samples > 0))
+        return "frames, width, height and samples must be positive";
+    if (!(warmupFrames >= 0))
+        return "warmup must be a number of frames, 0 or more";
+    if (warmupFrames >= frames)
+        return "warmup (" + warmupFrames + ") must be less than frames (" + frames + ") to leave frames to measure";
+
+    return null;
+}
+
+
+/**
+ * Report that the benchmark failed, both on the page and in
+ * window.benchmarkError
+ *
+ * @param error the Error the benchmark failed with
+ */
+function failBenchmark(error) {
+    console.error(error);
+    setBenchmarkStatus('Failed: ' + error.message);
+    window.benchmarkError = error.message;
+}
+
+
+/**
+ * Fill the scene with spikes and lights. Spikes move as a function of time
+ * alone, so any frame can be reproduced exactly.
+ *
+ * @param renderLoop the RenderLoop whose scene and random numbers are used
+ * @return a Promise resolving to a function which moves the scene to a point
+ *         in time given in milliseconds
+ */
+function loadBenchmarkScene(renderLoop) {
+    let {scene, random} = renderLoop;
+
+    for (let i = 0; i < 6; i++) {
+        let light = new THREE.DirectionalLight(0xFFFFFF, 1.0);
+        light.position.set(random() - 0.5, random() - 0.5, random() - 0.5);
+        scene.add(light);
+    }
+    scene.add(new THREE.AmbientLight(0xFFFFFF, 0.7));
+
+    return new Promise((resolve, reject) => {
+        new THREE.OBJLoader().load('./SpikeBall.obj', (obj) => {
+            let mesh = obj.children[0];
+            let spikes = [];
+            for (let i = 0; i < 150; i++) {
+                let spike = mesh.clone();
+                spike.material = new THREE.MeshStandardMaterial({
+                    color: Math.floor(0xFFFFFF * random()),
+                    roughness: random() * 0.4,
+                    metalness: 0.95
+                });
+                scene.add(spike);
+
+                spikes.push({
+                    mesh: spike,
+                    center: new THREE.Vector3((random() - 0.5) * 50, (random() - 0.5) * 30, -15 - random() * 40),
+                    axis: new THREE.Vector3(random(), random(), random()).normalize(),
+                    speed: (random() < 0.5 ? -1 : 1) * (random() * 0.8 + 0.2) / 1000
+                });
+            }
+
+            resolve(time => {
+                for (let {mesh, center, axis, speed} of spikes) {
+                    let angle = speed * time;
+                    mesh.quaternion.setFromAxisAngle(axis, angle);
+                    mesh.position.set(Math.cos(angle) * 5, Math.sin(angle) * 5, 0).add(center);
+                }
+            });
+        }, undefined, reject);
+    });
+}
+
+
+/**
+ * Create the camera path used when none is given, which pans and sways so
+ * modes are tested under camera motion
+ *
+ * @param duration the length of the path in milliseconds
+ */
+function createBenchmarkPath(duration) {
+    const KEYFRAME_INTERVAL = 250;
+    let path = new CameraPath();
+    let camera = new THREE.PerspectiveCamera(45);
+
+    for (let time = 0; time < duration + KEYFRAME_INTERVAL; time += KEYFRAME_INTERVAL) {
+        let progress = time / duration;
+        camera.position.set(3 * Math.sin(Math.PI * progress), Math.sin(2 * Math.PI * progress), 0);
+        camera.rotation.set(0, 0.3 * Math.sin(2 * Math.PI * progress), 0);
+        path.addKeyframe(time, camera);
+    }
+
+    return path;
+}
+
+
+/**
+ * Render the reference, then every mode, and measure each mode against the
+ * reference
+ *
+ * @param renderLoop the RenderLoop to render with
+ * @param setTime a function moving the scene and camera to a point in time
+ * @param modes the names and values of the modes to measure
+ * @param settings the settings of the benchmark
+ * @return a Promise resolving to the report
+ */
+async function measureModes(renderLoop, setTime, modes, settings) {
+    setBenchmarkStatus('Rendering reference');
+    await nextTask();
+
+    let reference = [];
+    let referenceRenderer = new ReferenceRenderer(renderLoop, settings.samples);
+    for (let frame = 0; frame < settings.frames; frame++) {
+        setTime(frame * settings.frameTime);
+        referenceRenderer.render();
+        reference.push(readFrame(renderLoop, settings));
+    }
+    referenceRenderer.dispose();
+
+    let results = [];
+    for (let {name, value} of modes) {
+        setBenchmarkStatus('Rendering ' + name);
+        await nextTask();
+
+        // Switching modes creates the mode from scratch, without any history
+        renderLoop.setAntialiasingMode(value);
+        let frames = [];
+        for (let frame = 0; frame < settings.frames; frame++) {
+            setTime(frame * settings.frameTime);
+            renderLoop.renderFrame(settings.frameTime);
+            frames.push(readFrame(renderLoop, settings));
+        }
+
+        results.push(Object.assign({name: name}, computeMetrics(frames, reference, settings)));
+    }
+
+    return {settings: settings, modes: results};
+}
+
+
+/**
+ * Wait for the browser to handle anything pending, such as updating the status
+ */
+function nextTask() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+
+/**
+ * Read back the frame on the canvas
+ *
+ * @param renderLoop the RenderLoop which rendered the frame
+ * @param settings the settings of the benchmark
+ * @return an object holding the RGBA pixels of the frame and their luminance
+ */
+function readFrame(renderLoop, settings) {
+    let {width, height} = settings;
+    let renderer = renderLoop.renderer;
+    let gl = renderer.getContext();
+    let pixels = new Uint8Array(width * height * 4);
+
+    renderer.setRenderTarget(null);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+
+    let luminance = new Float32Array(width * height);
+    for (let i = 0; i < luminance.length; i++)
+        luminance[i] = (0.2126 * pixels[i * 4] + 0.7152 * pixels[i * 4 + 1] + 0.0722 * pixels[i * 4 + 2]) / 255;
+
+    return {pixels: pixels, luminance: luminance};
+}
+
+
+/**
+ * Compute the metrics of a mode from its frames, leaving out warm up frames
+ *
+ * @param frames the frames rendered by the mode
+ * @param reference the frames of the reference
+ * @param settings the settings of the benchmark
+ * @return an object with the mean PSNR in decibels, mean SSIM, and flicker
+ */
+function computeMetrics(frames, reference, settings) {
+    let psnr = 0;
+    let ssim = 0;
+    let flicker = 0;
+    let measured = 0;
+
+    for (let frame = settings.warmupFrames; frame < frames.length; frame++) {
+        psnr += computePsnr(frames[frame].pixels, reference[frame].pixels);
+        ssim += computeSsim(frames[frame].luminance, reference[frame].luminance, settings.width, settings.height);
+        if (frame > 0)
+            flicker += computeFlicker(frames[frame - 1], frames[frame], reference[frame - 1], reference[frame]);
+        measured++;
+    }
+
+    return {
+        psnr: measured ? psnr / measured : null,
+        ssim: measured ? ssim / measured : null,
+        flicker: measured ? flicker / measured : null
+    };
+}
+
+
+/**
+ * Compute the peak signal to noise ratio of a frame against the reference.
+ * Identical frames are capped at 100dB so the result stays finite.
+ *
+ * @param pixels the RGBA pixels of the frame
+ * @param reference the RGBA pixels of the reference
+ */
+function computePsnr(pixels, reference) {
+    let squaredError = 0;
+    for (let i = 0; i < pixels.length; i += 4) {
+        for (let channel = 0; channel < 3; channel++) {
+            let difference = (pixels[i + channel] - reference[i + channel]) / 255;
+            squaredError += difference * difference;
+        }
+    }
+
+    let meanSquaredError = squaredError / (pixels.length / 4 * 3);
+    return meanSquaredError > 0 ? Math.min(-10 * Math.log10(meanSquaredError), 100) : 100;
+}
+
+
+/**
+ * Compute the mean structural similarity of the luminance of a frame against
+ * the reference, over overlapping square windows
+ *
+ * @param luminance the luminance of the frame
+ * @param reference the luminance of the reference
+ * @param width the width of the frame
+ * @param height the height of the frame
+ */
+function computeSsim(luminance, reference, width, height) {
+    const WINDOW_SIZE = 8;
+    const WINDOW_STRIDE = 4;
+    const C1 = 0.01 * 0.01;
+    const C2 = 0.03 * 0.03;
+    const PIXELS_PER_WINDOW = WINDOW_SIZE * WINDOW_SIZE;
+
+    let total = 0;
+    let windows = 0;
+    for (let top = 0; top + WINDOW_SIZE <= height; top += WINDOW_STRIDE) {
+        for (let left = 0; left + WINDOW_SIZE <= width; left += WINDOW_STRIDE) {
+            let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+            for (let y = top; y < top + WINDOW_SIZE; y++) {
+                for (let x = left; x < left + WINDOW_SIZE; x++) {
+                    let a = luminance[y * width + x];
+                    let b = reference[y * width + x];
+                    sumA += a;
+                    sumB += b;
+                    sumAA += a * a;
+                    sumBB += b * b;
+                    sumAB += a * b;
+                }
+            }
+
+            let meanA = sumA / PIXELS_PER_WINDOW;
+            let meanB = sumB / PIXELS_PER_WINDOW;
+            let varianceA = sumAA / PIXELS_PER_WINDOW - meanA * meanA;
+            let varianceB = sumBB / PIXELS_PER_WINDOW - meanB * meanB;
+            let covariance = sumAB / PIXELS_PER_WINDOW - meanA * meanB;
+
+            total += ((2 * meanA * meanB + C1) * (2 * covariance + C2))
+                / ((meanA * meanA + meanB * meanB + C1) * (varianceA + varianceB + C2));
+            windows++;
+        }
+    }
+
+    return windows ? total / windows : 1;
+}
+
+
+/**
+ * Measure flicker between two frames as the mean change in luminance which is
+ * not also seen between the same frames of the reference, so change caused by
+ * motion in the scene does not count
+ *
+ * @param lastFrame the previous frame of the mode
+ * @param frame the current frame of the mode
+ * @param lastReference the previous frame of the reference
+ * @param reference the current frame of the reference
+ */
+function computeFlicker(lastFrame, frame, lastReference, reference) {
+    let total = 0;
+    let length = frame.luminance.length;
+    for (let i = 0; i < length; i++) {
+        let change = frame.luminance[i] - lastFrame.luminance[i];
+        let referenceChange = reference.luminance[i] - lastReference.luminance[i];
+        total += Math.abs(change - referenceChange);
+    }
+
+    return total / length;
+}
+
+
+/**
+ * Renders the ground truth for a frame by accumulating many jittered renders
+ * of the scene, spread evenly over each pixel
+ *
+ * @param renderLoop the RenderLoop whose renderer, scene and camera are used
+ * @param samples the number of samples per pixel, rounded to a square
+ */
+function ReferenceRenderer(renderLoop, samples) {
+    let {width, height} = renderLoop.renderer.getSize(new THREE.Vector2());
+
+    this._renderLoop = renderLoop;
+    this._gridSize = Math.max(1, Math.round(Math.sqrt(samples)));
+    this._targetCopier = new TargetCopier(renderLoop);
+    this._accumulateMaterial = this._baseAccumulateMaterial.clone();
+    this._sampleTarget = new THREE.WebGLRenderTarget(width, height, {
+        format: THREE.RGBAFormat,
+        type: THREE.HalfFloatType
+    });
+    this._accumulationTarget = this._sampleTarget.clone();
+}
+
+
+/**
+ * Dispose of the ReferenceRenderer. This must be called when done with it in
+ * order to avoid memory leaks.
+ */
+ReferenceRenderer.prototype.dispose = function() {
+    this._sampleTarget.dispose();
+    this._accumulationTarget.dispose();
+    this._accumulateMaterial.dispose();
+    this._targetCopier.dispose();
+}
+
+
+/**
+ * Material adding a weighted share of its input to the target. Samples are
+ * clamped like they would be on the canvas, so the reference matches
+ * antialiasing of displayed color. This material is compatible with
+ * TargetCopier.
+ */
+ReferenceRenderer.prototype._baseAccumulateMaterial = new THREE.ShaderMaterial({
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    premultipliedAlpha: true,
+    depthTest: false,
+    depthWrite: false,
+
+    vertexShader: THREE.CopyShader.vertexShader,
+
+    fragmentShader: `
+    uniform float opacity;
+    uniform float weight;
+    uniform sampler2D tDiffuse;
+    varying vec2 vUv;
+
+    void main() {
+        gl_FragColor = opacity * weight * clamp(texture2D(tDiffuse, vUv), 0.0, 1.0);
+    }`
+});
+
+
+/**
+ * Render the reference of the scene as it is now to the canvas
+ */
+ReferenceRenderer.prototype.render = function() {
+    let {renderer, scene, camera} = this._renderLoop;
+    let {width, height} = renderer.getSize(new THREE.Vector2());
+    let autoClear = renderer.autoClear;
+
+    renderer.setRenderTarget(this._accumulationTarget);
+    renderer.setClearColor(0x000000);
+    renderer.clear();
+
+    this._accumulateMaterial.uniforms.weight = {value: 1 / (this._gridSize * this._gridSize)};
+    for (let x = 0; x < this._gridSize; x++) {
+        for (let y = 0; y < this._gridSize; y++) {
+            // Offsets are in the units used by TaaRenderPass, where 1 moves
+            // the sample by half a pixel
+            camera.projectionMatrix.elements[8] = ((x + 0.5) / this._gridSize * 2 - 1) / width;
+            camera.projectionMatrix.elements[9] = ((y + 0.5) / this._gridSize * 2 - 1) / height;
+
+            renderer.autoClear = true;
+            renderer.setRenderTarget(this._sampleTarget);
+            renderer.render(scene, camera);
+
+            renderer.autoClear = false;
+            this._targetCopier.copy(this._sampleTarget, this._accumulationTarget, this._accumulateMaterial);
+        }
+    }
+
+    camera.updateProjectionMatrix();
+    renderer.autoClear = autoClear;
+    this._targetCopier.copy(this._accumulationTarget, null);
+}
+
+
+/**
+ * Show the current step of the benchmark
+ *
+ * @param status a description of the current step
+ */
+function setBenchmarkStatus(status) {
+    document.getElementById('benchmark-status').textContent = status;
+}
+
+
+/**
+ * Format a metric for the report, which is null when no frames were measured
+ *
+ * @param value the value of the metric
+ * @param digits the number of digits after the decimal point
+ */
+function formatMetric(value, digits) {
+    return value === null ? 'n/a' : value.toFixed(digits);
+}
+
+
+/**
+ * Show the report as a table, along with links to download it as JSON or as
+ * a standalone HTML page
+ *
+ * @param report the report returned by measureModes()
+ */
+function showBenchmarkReport(report) {
+    let rows = report.modes.map(({name, psnr, ssim, flicker}) => `
+        <tr>
+            <td>${name}</td>
+            <td>${formatMetric(psnr, 2)}</td>
+            <td>${formatMetric(ssim, 4)}</td>
+            <td>${formatMetric(flicker, 5)}</td>
+        </tr>`).join('');
+
+    let {frames, width, height, samples, warmupFrames} = report.settings;
+    let table = `
+    <p>${frames} frames at ${width}x${height} against a ${samples} sample reference, skipping ${warmupFrames} warm up frames</p>
+    <table>
+        <tr><th>Mode</th><th>PSNR (dB)</th><th>SSIM</th><th>Flicker</th></tr>
+        ${rows}
+    </table>`;
+
+    let reportElement = document.getElementById('benchmark-report');
+    reportElement.innerHTML = table;
+
+    let json = new Blob([JSON.stringify(report, null, 2)], {type: 'application/json'});
+    let html = new Blob([`<html><head><meta charset="utf-8"><title>AA Benchmark</title></head><body>${table}</body></html>`], {type: 'text/html'});
+    for (let [blob, fileName] of [[json, 'benchmark.json'], [html, 'benchmark.html']]) {
+        let link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.textContent = 'Download ' + fileName;
+        reportElement.appendChild(link);
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Runs Benchmark.html in headless Chrome and writes the report to
+ * benchmark.json and benchmark.html. This is a Node.js script, not loaded by
+ * the pages, and needs Puppeteer (npm install puppeteer):
+ *
+ *   node BenchmarkRunner.js [URL parameters] [output directory]
+ *
+ * For example `node BenchmarkRunner.js "frames=30&modes=TAA,TAAU" results`.
+ * The repository is served over HTTP for the duration of the run so the page
+ * can load its model and camera paths. WebGL runs on SwiftShader, so no GPU is
+ * needed.
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const puppeteer = require('puppeteer');
+
+
+/**
+ * Content types of the files the benchmark page loads
+ */
+const CONTENT_TYPES = {
+    '.html': 'text/html',
+    '.js': 'text/javascript',
+    '.json': 'application/json',
+    '.obj': 'text/plain'
+};
+
+
+/**
+ * Chrome flags for WebGL on a software implementation
+ */
+const CHROME_ARGS = ['--use-angle=swiftshader', '--enable-unsafe-swiftshader', '--window-size=1280,720'];
+
+
+/**
+ * Serve the files of a directory over HTTP on a free port
+ *
+ * @param root the directory to serve
+ * @return a Promise resolving to the listening http.Server
+ */
+function serveDirectory(root) {
+    let server = http.createServer((request, response) => {
+        let filePath = path.join(root, decodeURIComponent(new URL(request.url, 'http://localhost').pathname));
+        if (!filePath.startsWith(root + path.sep)) {
+            response.writeHead(403);
+            response.end();
+            return;
+        }
+
+        fs.readFile(filePath, (error, data) => {
+            if (error) {
+                response.writeHead(404);
+                response.end();
+                return;
+            }
+
+            let contentType = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+            response.writeHead(200, {'Content-Type': contentType});
+            response.end(data);
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, 'localhost', () => resolve(server));
+    });
+}
+
+
+/**
+ * Run the benchmark in a page and read back the files it offers to download
+ *
+ * @param browser the Puppeteer browser to open the page in
+ * @param url the URL of Benchmark.html including its parameters
+ * @return a Promise resolving to an array of the names and contents of the
+ *         report files. It is rejected if the benchmark fails.
+ */
+async function runBenchmarkPage(browser, url) {
+    let page = await browser.newPage();
+    page.on('console', message => console.log('[page] ' + message.text()));
+    page.on('pageerror', error => console.error('[page] ' + error.message));
+
+    await page.goto(url);
+
+    // Rendering every mode on SwiftShader can take many minutes
+    await page.waitForFunction(() => window.benchmarkResult || window.benchmarkError, {timeout: 0, polling: 1000});
+
+    let error = await page.evaluate(() => window.benchmarkError);
+    if (error)
+        throw new Error("The benchmark failed: " + error);
+
+    // The report links to blobs holding the same files the page downloads
+    return page.evaluate(() => {
+        let links = Array.from(document.querySelectorAll('#benchmark-report a[download]'));
+        return Promise.all(links.map(async link => {
+            let response = await fetch(link.href);
+            return {fileName: link.download, text: await response.text()};
+        }));
+    });
+}
+
+
+async function main() {
+    let [query = '', outputDirectory = '.'] = process.argv.slice(2);
+
+    let server = await serveDirectory(__dirname);
+    let browser = await puppeteer.launch({headless: true, args: CHROME_ARGS});
+    try {
+        let url = 'http://localhost:' + server.address().port + '/Benchmark.html?' + query.replace(/^\?/, '');
+        let files = await runBenchmarkPage(browser, url);
+
+        fs.mkdirSync(outputDirectory, {recursive: true});
+        for (let {fileName, text} of files) {
+            let filePath = path.join(outputDirectory, fileName);
+            fs.writeFileSync(filePath, text);
+            console.log('Wrote ' + filePath);
+        }
+    }
+    finally {
+        await browser.close();
+        server.close();
+    }
+}
+
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,245 @@
+/**
+ * A recorded movement of a camera over time, as keyframes of position,
+ * orientation and field of view. Positions are interpolated along a
+ * Catmull-Rom spline and orientations spherically, so paths recorded at a low
+ * rate still play back smoothly.
+ *
+ * @param keyframes an optional array of keyframes in order of time, each with
+ *        - time: milliseconds since the start of the path
+ *        - position: the position of the camera as [x, y, z]
+ *        - quaternion: the orientation of the camera as [x, y, z, w]
+ *        - fov: the vertical field of view of the camera in degrees
+ */
+function CameraPath(keyframes) {
+    this.keyframes = keyframes || [];
+}
+
+
+/**
+ * Create a CameraPath from the result of toJSON()
+ *
+ * @param json the parsed JSON of a path
+ */
+CameraPath.fromJSON = function(json) {
+    return new CameraPath(json.keyframes);
+}
+
+
+/**
+ * Get a JSON serializable representation of the path
+ */
+CameraPath.prototype.toJSON = function() {
+    return {version: 1, keyframes: this.keyframes};
+}
+
+
+/**
+ * Add a keyframe for the current state of a camera. Keyframes must be added in
+ * order of time.
+ *
+ * @param time milliseconds since the start of the path
+ * @param camera the camera to record
+ */
+CameraPath.prototype.addKeyframe = function(time, camera) {
+    this.keyframes.push({
+        time: time,
+        position: camera.position.toArray(),
+        quaternion: camera.quaternion.toArray(),
+        fov: camera.fov
+    });
+}
+
+
+/**
+ * Get the length of the path in milliseconds
+ */
+CameraPath.prototype.getDuration = function() {
+    let keyframes = this.keyframes;
+    return keyframes.length > 0 ? keyframes[keyframes.length - 1].time : 0;
+}
+
+
+/**
+ * Move a camera to where it is at a point in time along the path. Times
+ * outside of the path are clamped to its start or end.
+ *
+ * @param time milliseconds since the start of the path
+ * @param camera the camera to move
+ */
+CameraPath.prototype.apply = function(time, camera) {
+    let keyframes = this.keyframes;
+    if (keyframes.length == 0)
+        return;
+
+    // Find the keyframe starting the segment containing the time
+    let index = 0;
+    while (index < keyframes.length - 2 && keyframes[index + 1].time <= time)
+        index++;
+
+    let start = keyframes[index];
+    let end = keyframes[Math.min(index + 1, keyframes.length - 1)];
+    let segmentLength = end.time - start.time;
+    let t = segmentLength > 0 ? Math.min(Math.max((time - start.time) / segmentLength, 0), 1) : 0;
+
+    // Neighbors of the segment are repeated at the ends of the path
+    let before = keyframes[Math.max(index - 1, 0)];
+    let after = keyframes[Math.min(index + 2, keyframes.length - 1)];
+    camera.position.fromArray(start.position.map((value, i) => CameraPath._catmullRom(
+        before.position[i], value, end.position[i], after.position[i], t)));
+
+    let endQuaternion = new THREE.Quaternion().fromArray(end.quaternion);
+    camera.quaternion.fromArray(start.quaternion).slerp(endQuaternion, t);
+
+    let fov = start.fov + (end.fov - start.fov) * t;
+    if (camera.isPerspectiveCamera && fov && camera.fov != fov) {
+        camera.fov = fov;
+        camera.updateProjectionMatrix();
+    }
+}
+
+
+/**
+ * Interpolate a value along a uniform Catmull-Rom spline
+ *
+ * @param p0 the value before the segment
+ * @param p1 the value at the start of the segment
+ * @param p2 the value at the end of the segment
+ * @param p3 the value after the segment
+ * @param t how far along the segment to interpolate, between 0 and 1
+ */
+CameraPath._catmullRom = function(p0, p1, p2, p3, t) {
+    let t2 = t * t;
+    let t3 = t2 * t;
+    return 0.5 * (2 * p1
+        + (p2 - p0) * t
+        + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2
+        + (3 * p1 - p0 - 3 * p2 + p3) * t3);
+}
+
+
+/**
+ * Records the movement of a camera into a CameraPath, sampling it as the
+ * RenderLoop advances
+ *
+ * @param renderLoop the RenderLoop whose time is followed
+ * @param camera the camera to record
+ * @param sampleInterval optional milliseconds between keyframes (100 by
+ *        default)
+ */
+function CameraPathRecorder(renderLoop, camera, sampleInterval) {
+    this.path = null;
+
+    this._renderLoop = renderLoop;
+    this._camera = camera;
+    this._sampleInterval = sampleInterval || 100;
+    this._renderCallback = null;
+}
+
+
+/**
+ * Start recording into a new path
+ */
+CameraPathRecorder.prototype.start = function() {
+    this.stop();
+
+    let time = 0;
+    let lastSampleTime = 0;
+    this.path = new CameraPath();
+    this.path.addKeyframe(time, this._camera);
+
+    this._renderCallback = this._renderLoop.onPreRender((timePassed) => {
+        time += timePassed;
+        if (time - lastSampleTime >= this._sampleInterval) {
+            this.path.addKeyframe(time, this._camera);
+            lastSampleTime = time;
+        }
+    });
+}
+
+
+/**
+ * Stop recording, returning the recorded path
+ */
+CameraPathRecorder.prototype.stop = function() {
+    if (this._renderCallback) {
+        this._renderCallback.cancel();
+        this._renderCallback = null;
+    }
+
+    return this.path;
+}
+
+
+/**
+ * Whether the recorder is currently recording
+ */
+CameraPathRecorder.prototype.isRecording = function() {
+    return !!this._renderCallback;
+}
+
+
+/**
+ * Plays back a CameraPath by moving a camera before every frame of a
+ * RenderLoop. Time follows the RenderLoop, so a fixed frame time plays the path
+ * back identically on every run.
+ *
+ * @param renderLoop the RenderLoop whose time is followed
+ * @param camera the camera to move
+ * @param path the CameraPath to play
+ * @param options an optional object containing any of
+ *        - loop: whether to start over once the end is reached
+ *        - onFinished: a callback for when playback reaches the end without
+ *          looping
+ */
+function CameraPathPlayer(renderLoop, camera, path, options) {
+    this._renderLoop = renderLoop;
+    this._camera = camera;
+    this._path = path;
+    this._options = Object.assign({loop: false, onFinished: null}, options);
+    this._renderCallback = null;
+}
+
+
+/**
+ * Start playing the path from its beginning
+ */
+CameraPathPlayer.prototype.start = function() {
+    this.stop();
+
+    let time = 0;
+    let duration = this._path.getDuration();
+    this._path.apply(time, this._camera);
+
+    this._renderCallback = this._renderLoop.onPreRender((timePassed) => {
+        time += timePassed;
+        if (time > duration && this._options.loop)
+            time = duration > 0 ? time % duration : 0;
+
+        this._path.apply(time, this._camera);
+
+        if (time >= duration && !this._options.loop) {
+            this.stop();
+            if (this._options.onFinished)
+                this._options.onFinished();
+        }
+    });
+}
+
+
+/**
+ * Stop playing, leaving the camera where it is
+ */
+CameraPathPlayer.prototype.stop = function() {
+    if (this._renderCallback) {
+        this._renderCallback.cancel();
+        this._renderCallback = null;
+    }
+}
+
+
+/**
+ * Whether the path is currently playing
+ */
+CameraPathPlayer.prototype.isPlaying = function() {
+    return !!this._renderCallback;
+}
@@ -1,8 +1,3 @@
-/**
- * Whether animation is paused
- */
-let isPaused = true;
-
 /**
  * Start the demo
  */
@@ -17,30 +12,140 @@ function main() {
     let scene = new THREE.Scene();
     camera = new THREE.PerspectiveCamera(45, innerWidth/innerHeight, 0.1, 1000);
     camera.position.set(0, 0, 0);
-    bindCameraInput(camera);
+
+    // A fps parameter advances time by 1/fps every frame whatever the real
+    // frame rate, and with a seed parameter makes every run produce the same
+    // frames
+    let params = new URLSearchParams(window.location.search);
+    let fps = parseFloat(params.get('fps'));
+    let mode = AntiAliasingMode.NONE;
+    if (params.has('mode')) {
+        if (AntiAliasingMode.hasOwnProperty(params.get('mode')))
+            mode = AntiAliasingMode[params.get('mode')];
+        else
+            console.warn("Unknown antialiasing mode " + params.get('mode') + ", using NONE");
+    }
+
+    let renderLoop = new RenderLoop({
+        scene: scene,
+        camera: camera,
+        canvasElement: canvasElement,
+        antialiasing: mode,
+        fixedFrameTime: fps > 0 ? 1000 / fps : null,
+        seed: params.has('seed') ? parseInt(params.get('seed')) : undefined
+    });
 
     for (let i = 0; i < 6; i++) {
         let light = new THREE.DirectionalLight(0xFFFFFF, 1.0);
-        light.position.set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5);
+        light.position.set(renderLoop.random() - 0.5, renderLoop.random() - 0.5, renderLoop.random() - 0.5);
         scene.add(light);
     }
 
     let ambientLight = new THREE.AmbientLight(0xFFFFFF, 0.7);
     scene.add(ambientLight);
 
-    let renderLoop = new RenderLoop({
-        scene: scene,
-        camera: camera,
-        canvasElement: canvasElement,
-        antialiasing: AntiAliasingMode.NONE
+    setupSidebar(document.getElementById("sidebar"), renderLoop);
+    bindCameraInput(camera, renderLoop);
+    bindCameraPathInput(renderLoop, camera);
+    bindPlaybackInput(renderLoop);
+
+    let sceneLoaded = new Promise(resolve => {
+        if (params.get('scene') == 'animated') {
+            loadAnimatedScene(renderLoop);
+            resolve();
+        }
+        else
+            loadSpikesAsync(renderLoop, resolve);
     });
 
-    setupSidebar(document.getElementById("sidebar"), renderLoop);
-    loadSpikesAsync(renderLoop);
+    // A path parameter names a JSON file recorded with CameraPathRecorder
+    let pathLoaded = !params.has('path') ? Promise.resolve(null) : fetch(params.get('path'))
+        .then(response => {
+            if (!response.ok)
+                throw new Error("Failed to load camera path " + params.get('path') + ": " + response.status);
+            return response.json();
+        })
+        .then(json => CameraPath.fromJSON(json));
+
+    // A paused loop renders nothing by itself, so redraw whenever the scene or
+    // settings change while paused
+    let redrawIfPaused = () => {
+        if (renderLoop.isPaused())
+            renderLoop.step(0);
+    };
+    for (let type of ['click', 'input', 'change'])
+        document.addEventListener(type, redrawIfPaused);
+    sceneLoaded.then(redrawIfPaused);
+
+    // Capturing waits for everything to load so every run sees the same frames
+    Promise.all([sceneLoaded, pathLoaded]).then(([, path]) => {
+        if (path)
+            new CameraPathPlayer(renderLoop, camera, path, {loop: !params.has('capture')}).start();
+        if (params.has('capture'))
+            captureFrames(renderLoop, params);
+    }).catch(error => {
+        console.error(error);
+        window.captureError = error.message;
+    });
+
+    window.addEventListener('resize', () => {
+        renderLoop.setSize(window.innerWidth, window.innerHeight);
+        redrawIfPaused();
+    });
 
     renderLoop.onPreRender(() => stats.begin());
     renderLoop.onPostRender(() => stats.end());
     renderLoop.start();
+
+    // The scene starts paused until space is pressed, unless capturing or
+    // playing a path, which need time to advance
+    if (!params.has('capture') && !params.has('path'))
+        renderLoop.pause();
+}
+
+
+/**
+ * Capture frames as described by the URL parameters capture ('png' or 'webm')
+ * and frames, with the scene animating. The result is offered as downloads and
+ * kept in window.captureResult for scripts driving a headless browser, with
+ * window.captureError set instead if capturing failed.
+ *
+ * @param renderLoop the RenderLoop to capture from
+ * @param params the URLSearchParams of the page
+ */
+function captureFrames(renderLoop, params) {
+    let format = params.get('capture');
+    let modeName = RenderLoop.getAntialiasingModes().find(mode => mode.value == renderLoop.antialiasing).name;
+
+    renderLoop.capture({
+        format: format,
+        frameCount: parseInt(params.get('frames')) || 60
+    }).then(result => {
+        if (format == 'webm')
+            downloadBlob(result, modeName + '.webm');
+        else
+            result.forEach((blob, i) => downloadBlob(blob, modeName + '_' + String(i).padStart(4, '0') + '.png'));
+
+        window.captureResult = result;
+    }, error => {
+        console.error(error);
+        window.captureError = error.message;
+    });
+}
+
+
+/**
+ * Save a blob as a file through the download mechanism of the browser
+ *
+ * @param blob the blob to save
+ * @param fileName the name to save it as
+ */
+function downloadBlob(blob, fileName) {
+    let link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
 }
 
 
@@ -51,22 +156,160 @@ function main() {
  * @param renderLoop the RenderLoop to bind the bar to
  */
 function setupSidebar(sidebar, renderLoop) {
-    for (let mode in AntiAliasingMode) {
+    for (let {name, value} of RenderLoop.getAntialiasingModes()) {
         
         let aaButton = document.createElement('div');
-        aaButton.classList.add('button');
-        if (AntiAliasingMode[mode] == renderLoop.antialiasing)
+        aaButton.classList.add('button', 'aa-button');
+        if (value == renderLoop.antialiasing)
             aaButton.classList.add('active');
         
-        aaButton.innerHTML = mode;
+        aaButton.innerHTML = name;
         aaButton.addEventListener('click', () => {
-            document.querySelector('.button.active').classList.remove('active');
-            renderLoop.setAntialiasingMode(AntiAliasingMode[mode]);
+            sidebar.querySelector('.aa-button.active').classList.remove('active');
+            renderLoop.setAntialiasingMode(value);
             aaButton.classList.add('active');
         });
 
         sidebar.appendChild(aaButton);
     }
+
+    let sharpenButton = document.createElement('div');
+    sharpenButton.classList.add('button');
+    sharpenButton.classList.toggle('active', renderLoop.sharpenOptions.enabled);
+    sharpenButton.innerHTML = 'SHARPEN';
+    sharpenButton.addEventListener('click', () => {
+        let enabled = !renderLoop.sharpenOptions.enabled;
+        renderLoop.setSharpenOptions({enabled: enabled});
+        sharpenButton.classList.toggle('active', enabled);
+    });
+    sidebar.appendChild(sharpenButton);
+
+    let strengthSlider = document.createElement('input');
+    strengthSlider.type = 'range';
+    strengthSlider.min = 0;
+    strengthSlider.max = 1;
+    strengthSlider.step = 0.05;
+    strengthSlider.value = renderLoop.sharpenOptions.strength;
+    strengthSlider.title = 'Sharpen strength';
+    strengthSlider.addEventListener('input', () => {
+        renderLoop.setSharpenOptions({strength: parseFloat(strengthSlider.value)});
+    });
+    sidebar.appendChild(strengthSlider);
+
+    // Intermediate outputs of TAA modes, shown in place of the final frame
+    let debugViewSelect = document.createElement('select');
+    debugViewSelect.title = 'Intermediate output shown by TAA modes';
+    for (let name in TaaDebugView) {
+        let option = document.createElement('option');
+        option.value = TaaDebugView[name];
+        option.textContent = 'TAA VIEW: ' + (name == 'NONE' ? 'FINAL' : name.replace('_', ' '));
+        option.selected = TaaDebugView[name] == renderLoop.taaOptions.debugView;
+        debugViewSelect.appendChild(option);
+    }
+
+    debugViewSelect.addEventListener('change', () => {
+        renderLoop.setTaaOptions({debugView: parseInt(debugViewSelect.value)});
+    });
+    sidebar.appendChild(debugViewSelect);
+
+    setupComparison(sidebar, renderLoop);
+}
+
+
+/**
+ * Add controls to the sidebar for comparing a second mode of antialiasing
+ * against the current one. The second mode is shown right of a divider which
+ * can be dragged across the canvas, and a magnifier can show the area around
+ * the mouse zoomed in.
+ *
+ * @param sidebar the dom node for the sidebar
+ * @param renderLoop the RenderLoop to compare modes of
+ */
+function setupComparison(sidebar, renderLoop) {
+    let divider = document.getElementById('comparison-divider');
+    let comparisonSelect = document.createElement('select');
+    comparisonSelect.title = 'Mode to compare against, shown right of the divider';
+
+    let offOption = document.createElement('option');
+    offOption.value = '';
+    offOption.textContent = 'COMPARE: OFF';
+    comparisonSelect.appendChild(offOption);
+
+    for (let {name, value, visualization} of RenderLoop.getAntialiasingModes()) {
+        if (visualization)
+            continue;
+
+        let option = document.createElement('option');
+        option.value = value;
+        option.textContent = 'COMPARE: ' + name;
+        comparisonSelect.appendChild(option);
+    }
+
+    comparisonSelect.addEventListener('change', () => {
+        let enabled = comparisonSelect.value != '';
+        renderLoop.setComparisonMode(enabled ? parseInt(comparisonSelect.value) : null);
+        divider.style.display = enabled ? 'block' : 'none';
+    });
+    sidebar.appendChild(comparisonSelect);
+
+    let positionDivider = () => divider.style.left = (renderLoop.comparisonSplit * 100) + 'vw';
+    positionDivider();
+
+    let isDragging = false;
+    divider.addEventListener('mousedown', (event) => {
+        isDragging = true;
+        event.preventDefault();
+    });
+    window.addEventListener('mouseup', () => isDragging = false);
+    window.addEventListener('mousemove', (event) => {
+        if (!isDragging)
+            return;
+
+        renderLoop.setComparisonSplit(event.clientX / window.innerWidth);
+        positionDivider();
+    });
+
+    let magnifier = document.getElementById('magnifier');
+    let magnifierButton = document.createElement('div');
+    magnifierButton.classList.add('button');
+    magnifierButton.innerHTML = 'MAGNIFY';
+    magnifierButton.addEventListener('click', () => {
+        let enabled = magnifierButton.classList.toggle('active');
+        magnifier.style.display = enabled ? 'block' : 'none';
+    });
+    sidebar.appendChild(magnifierButton);
+
+    let mouseX = window.innerWidth / 2;
+    let mouseY = window.innerHeight / 2;
+    window.addEventListener('mousemove', (event) => {
+        mouseX = event.clientX;
+        mouseY = event.clientY;
+
+        // A paused loop draws nothing, so render the same moment again for a
+        // moved divider or for the magnifier to read the canvas
+        let magnifying = magnifier.style.display == 'block';
+        if ((isDragging || magnifying) && renderLoop.isPaused())
+            renderLoop.step(0);
+    });
+
+    // The canvas can only be read from in the frame it was drawn
+    const MAGNIFICATION = 8;
+    let magnifierContext = magnifier.getContext('2d');
+    renderLoop.onPostRender(() => {
+        if (magnifier.style.display != 'block')
+            return;
+
+        let canvas = renderLoop.renderer.domElement;
+        let sourceWidth = magnifier.width / MAGNIFICATION;
+        let sourceHeight = magnifier.height / MAGNIFICATION;
+        let scaleX = canvas.width / canvas.clientWidth;
+        let scaleY = canvas.height / canvas.clientHeight;
+
+        magnifierContext.imageSmoothingEnabled = false;
+        magnifierContext.drawImage(canvas,
+            mouseX * scaleX - sourceWidth / 2, mouseY * scaleY - sourceHeight / 2, sourceWidth, sourceHeight,
+            0, 0, magnifier.width, magnifier.height);
+    });
 }
 
 
@@ -74,29 +317,36 @@ function setupSidebar(sidebar, renderLoop) {
  * Load spike models, animate them, and add them to the scene
  * 
  * @param renderLoop the RenderLoop whose scene will be used
+ * @param onLoad an optional callback for once the spikes are in the scene
  */
-function loadSpikesAsync(renderLoop) {
-    let {scene} = renderLoop;
+function loadSpikesAsync(renderLoop, onLoad) {
+    let {scene, random} = renderLoop;
+
+    // Random numbers are drawn before loading, so whatever else uses them
+    // while the model loads doesn't change the spikes
+    let spikes = Array.from({length: 300}, () => {
+        let color = Math.floor(0xFFFFFF * random());
+        let roughness = random() * 0.4;
+        let position = new THREE.Vector3((random() - 0.5) * 60, (random() - 0.5) * 60, (random() - 0.5) * 60);
+        let randomAxis = new THREE.Vector3(random(), random(), random()).normalize();
+        let moveSign = random() < 0.5 ? -1 : 1;
+        let moveFactor = moveSign * (random() *0.8 + 0.2) / 1000;
+        return {color, roughness, position, randomAxis, moveFactor};
+    });
 
     new THREE.OBJLoader().load('./SpikeBall.obj', (obj) => { 
         let mesh = obj.children[0];
-        for (let i = 0; i < 300; i++) {
+        for (let {color, roughness, position, randomAxis, moveFactor} of spikes) {
             let spike = mesh.clone();
             spike.material = new THREE.MeshStandardMaterial({
-                color: Math.floor(0xFFFFFF * Math.random()),
-                roughness: Math.random() * 0.4,
+                color: color,
+                roughness: roughness,
                 metalness: 0.95
             });
-            spike.position.set((Math.random() - 0.5) * 60, (Math.random() - 0.5) * 60, (Math.random() - 0.5) * 60);
+            spike.position.copy(position);
 
-            let randomAxis = new THREE.Vector3(Math.random(), Math.random(), Math.random()).normalize();
             let msecs = 0;
-            let moveSign = Math.random() < 0.5 ? -1 : 1;
-            let moveFactor = moveSign * (Math.random() *0.8 + 0.2) / 1000;
             renderLoop.onPreRender((timePassed) => {
-                if (isPaused)
-                    return;
-
                 spike.rotateOnAxis(randomAxis, moveFactor * timePassed);
                 spike.translateY((Math.sin((msecs + timePassed) * moveFactor) - Math.sin(msecs * moveFactor)) * 5);
                 spike.translateX((Math.cos((msecs + timePassed) * moveFactor) - Math.cos(msecs * moveFactor)) * 5);
@@ -105,6 +355,209 @@ function loadSpikesAsync(renderLoop) {
             })
             scene.add(spike);
         }
+
+        if (onLoad)
+            onLoad();
+    });
+}
+
+
+/**
+ * Add procedurally animated skinned, morphed and instanced meshes to the
+ * scene. These deform without moving their object, so are used to test motion
+ * vectors beyond the transforms of objects.
+ *
+ * @param renderLoop the RenderLoop whose scene will be used
+ */
+function loadAnimatedScene(renderLoop) {
+    let {scene} = renderLoop;
+    let msecs = 0;
+    renderLoop.onPreRender((timePassed) => msecs += timePassed);
+
+    const BONE_COUNT = 8;
+    const TENTACLE_HEIGHT = 8;
+    for (let i = 0; i < 5; i++) {
+        let tentacle = createSkinnedTentacle(BONE_COUNT, TENTACLE_HEIGHT);
+        tentacle.position.set((i - 2) * 4, -TENTACLE_HEIGHT / 2, -15);
+        scene.add(tentacle);
+
+        let phase = i * 0.7;
+        renderLoop.onPreRender(() => {
+            for (let bone of tentacle.skeleton.bones.slice(1))
+                bone.rotation.z = Math.sin(msecs / 400 + phase) * 0.35;
+        });
+    }
+
+    let blob = createMorphingBlob();
+    blob.position.set(0, 6, -20);
+    scene.add(blob);
+    renderLoop.onPreRender(() => {
+        blob.morphTargetInfluences[0] = 0.5 + 0.5 * Math.sin(msecs / 300);
+    });
+
+    // Drawn after antialiasing, so stays crisp and never ghosts
+    let overlayKnot = new THREE.Mesh(
+        new THREE.TorusKnotGeometry(1, 0.3, 128, 16),
+        new THREE.MeshStandardMaterial({color: 0xffd040, roughness: 0.2, metalness: 0.8}));
+    overlayKnot.position.set(9, 6, -20);
+    renderLoop.addOverlayObject(overlayKnot);
+    renderLoop.onPreRender(() => {
+        overlayKnot.rotation.y = msecs / 1000;
+    });
+
+    const INSTANCE_COUNT = 64;
+    let cubes = new THREE.InstancedMesh(
+        new THREE.BoxGeometry(0.6, 0.6, 0.6),
+        new THREE.MeshStandardMaterial({color: 0x3080ff, roughness: 0.3, metalness: 0.8}),
+        INSTANCE_COUNT);
+    cubes.position.set(0, -6, -20);
+    // Culling only sees the bounds of a single cube, not of every instance
+    cubes.frustumCulled = false;
+    scene.add(cubes);
+
+    let matrix = new THREE.Matrix4();
+    renderLoop.onPreRender(() => {
+        for (let i = 0; i < INSTANCE_COUNT; i++) {
+            let angle = i / INSTANCE_COUNT * Math.PI * 2 + msecs / 2000;
+            let height = Math.sin(angle * 3 + msecs / 500);
+            matrix.makeRotationY(angle * 4);
+            matrix.setPosition(new THREE.Vector3(Math.cos(angle) * 8, height, Math.sin(angle) * 8));
+            cubes.setMatrixAt(i, matrix);
+        }
+        cubes.instanceMatrix.needsUpdate = true;
+    });
+}
+
+
+/**
+ * Create a cylinder skinned to a chain of bones running along its length
+ *
+ * @param boneCount the number of bones in the chain
+ * @param height the height of the cylinder
+ */
+function createSkinnedTentacle(boneCount, height) {
+    let segmentHeight = height / boneCount;
+    let geometry = new THREE.CylinderGeometry(0.2, 0.6, height, 12, boneCount * 4);
+    geometry.translate(0, height / 2, 0);
+
+    let positions = geometry.attributes.position;
+    let skinIndices = new Float32Array(positions.count * 4);
+    let skinWeights = new Float32Array(positions.count * 4);
+    for (let i = 0; i < positions.count; i++) {
+        let bonePosition = Math.min(positions.getY(i) / segmentHeight, boneCount - 1);
+        let boneIndex = Math.floor(bonePosition);
+        let weight = bonePosition - boneIndex;
+
+        skinIndices[i * 4] = boneIndex;
+        skinIndices[i * 4 + 1] = Math.min(boneIndex + 1, boneCount - 1);
+        skinWeights[i * 4] = 1 - weight;
+        skinWeights[i * 4 + 1] = weight;
+    }
+    geometry.setAttribute('skinIndex', new THREE.BufferAttribute(skinIndices, 4));
+    geometry.setAttribute('skinWeight', new THREE.BufferAttribute(skinWeights, 4));
+
+    let bones = [];
+    for (let i = 0; i < boneCount; i++) {
+        let bone = new THREE.Bone();
+        bone.position.y = i == 0 ? 0 : segmentHeight;
+        if (i > 0)
+            bones[i - 1].add(bone);
+        bones.push(bone);
+    }
+
+    let mesh = new THREE.SkinnedMesh(geometry, new THREE.MeshStandardMaterial({
+        color: 0xe04040,
+        roughness: 0.4,
+        metalness: 0.5
+    }));
+    mesh.add(bones[0]);
+    mesh.bind(new THREE.Skeleton(bones));
+
+    return mesh;
+}
+
+
+/**
+ * Create a sphere with a single morph target pushing out spikes
+ */
+function createMorphingBlob() {
+    let geometry = new THREE.SphereGeometry(2.5, 48, 24);
+
+    let positions = geometry.attributes.position;
+    let spiked = new Float32Array(positions.count * 3);
+    let vertex = new THREE.Vector3();
+    for (let i = 0; i < positions.count; i++) {
+        vertex.fromBufferAttribute(positions, i);
+        let spikeScale = 1 + 0.4 * Math.abs(Math.sin(vertex.x * 3) * Math.sin(vertex.y * 3) * Math.sin(vertex.z * 3));
+        vertex.multiplyScalar(spikeScale).toArray(spiked, i * 3);
+    }
+    geometry.morphAttributes.position = [new THREE.BufferAttribute(spiked, 3)];
+
+    let mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+        color: 0x40e080,
+        roughness: 0.3,
+        metalness: 0.6
+    }));
+    mesh.updateMorphTargets();
+
+    return mesh;
+}
+
+
+/**
+ * Bind keys to record and play back camera paths. 'c' starts recording, and
+ * pressing it again stops and downloads the path as JSON. 'v' plays back the
+ * last recorded path.
+ *
+ * @param renderLoop the RenderLoop whose time paths follow
+ * @param camera the camera to record and move
+ */
+function bindCameraPathInput(renderLoop, camera) {
+    let recorder = new CameraPathRecorder(renderLoop, camera);
+    let player = null;
+
+    window.addEventListener('keypress', (event) => {
+        let ch = String.fromCharCode(event.which);
+        if (ch == 'c') {
+            if (!recorder.isRecording()) {
+                recorder.start();
+                return;
+            }
+
+            let path = recorder.stop();
+            downloadBlob(new Blob([JSON.stringify(path)], {type: 'application/json'}), 'camera-path.json');
+        }
+        else if (ch == 'v' && recorder.path && !recorder.isRecording()) {
+            if (player)
+                player.stop();
+
+            player = new CameraPathPlayer(renderLoop, camera, recorder.path);
+            player.start();
+        }
+    });
+}
+
+
+/**
+ * Bind keys to control the render loop. Space pauses and resumes it, and while
+ * paused '.' steps one frame forward and ',' renders the same moment again so
+ * TAA convergence can be followed frame by frame.
+ *
+ * @param renderLoop the RenderLoop to control
+ */
+function bindPlaybackInput(renderLoop) {
+    window.addEventListener('keypress', (event) => {
+        let ch = String.fromCharCode(event.which);
+        if (ch == ' ') {
+            if (renderLoop.isPaused())
+                renderLoop.resume();
+            else
+                renderLoop.pause();
+        }
+        else if (ch == '.' && renderLoop.isPaused())
+            renderLoop.step();
+        else if (ch == ',' && renderLoop.isPaused())
+            renderLoop.step(0);
     });
 }
 
@@ -113,22 +566,28 @@ function loadSpikesAsync(renderLoop) {
  * Bind the camera to keyboard input
  * 
  * @param camera the camera to bind
+ * @param renderLoop the RenderLoop rendering the camera
  */
-function bindCameraInput(camera) {
+function bindCameraInput(camera, renderLoop) {
     window.onkeypress = (event) => {
         var ch = String.fromCharCode(event.which);
-        cameraControl(camera, ch);
+
+        // A paused loop renders nothing by itself, so show the new view
+        if (cameraControl(camera, ch, renderLoop) && renderLoop.isPaused())
+            renderLoop.step(0);
     }
 }
 
 
 /**
- * Move the camera based on a key pressed
+ * Move the camera based on a key pressed. Keys which teleport the camera reset
+ * the history of the render loop, since TAA would smear the old view otherwise.
  * 
  * @param camera the camera to move
  * @param ch the character pressed
+ * @param renderLoop the RenderLoop rendering the camera
  */
-function cameraControl(camera, ch)
+function cameraControl(camera, ch, renderLoop)
 {
     const TRANSLATE_INCREMENT = 0.15;
     const ROTATE_INCREMEMENT = 2 * Math.PI / 180;
@@ -177,9 +636,11 @@ function cameraControl(camera, ch)
         return true;
     case 'O':
         camera.lookAt(new THREE.Vector3(0, 0, 0));
+        renderLoop.resetHistory();
         return true;
     case 'p':
         camera.position.set(0, 0, 0);
+        renderLoop.resetHistory();
         return true;
     case 'S':
         camera.fov = Math.min(80, camera.fov + 5);
@@ -219,9 +680,6 @@ function cameraControl(camera, ch)
         camera.rotateX(ROTATE_INCREMEMENT);
         camera.translateZ(distance);
         return true;
-    case ' ':
-        isPaused = !isPaused;
-        return true;
     }
     return false;
 }
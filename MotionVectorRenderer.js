@@ -1,27 +1,175 @@
 /**
- * Utility used to render motion vectors for a scene
+ * Utility used to render motion vectors for a scene. Motion is written as the
+ * signed movement of each pixel in UV space since the last frame. Consumers
+ * should read it with the functions in MotionVectorRenderer.velocityShaderChunk
+ * rather than relying on the layout of the target.
  * 
  * @param renderLoop a RenderLoop whose scene and canvas will be used
  */
 function MotionVectorRenderer(renderLoop) {
     this._cachedMotionMaterials = {};
+    this._cachedVelocityMaterials = {};
     this._renderLoop = renderLoop;
     this._lastFrameView = renderLoop.camera.matrixWorldInverse.clone();
     this._lastFrameProjection = renderLoop.camera.projectionMatrix.clone();
     this._modelMatrices = {};
+    this._deformations = {};
+    this._addedAttributes = {};
 
-    this._renderCallback = renderLoop.onPostRender(() => {
-        this._lastFrameView = this._renderLoop.camera.matrixWorldInverse.clone();
-        this._lastFrameProjection = this._renderLoop.camera.projectionMatrix.clone();
-
-        this._renderLoop.scene.updateMatrixWorld(false /*force*/);
-        this._renderLoop.scene.traverse(object => {
-            this._modelMatrices[object.id] = object.matrixWorld.clone();
-        });
-    });
+    this._renderCallback = renderLoop.onPostRender(() => this._recordLastFrame());
 }
 
 
+/**
+ * GLSL shared by every shader writing or reading motion vectors. Velocity is
+ * the movement of a surface in UV space since the last frame, so the position
+ * of a pixel in the last frame is its UV minus its velocity. It is stored
+ * unbiased in the red and green channels of a half float target.
+ *
+ * The blue channel holds how reactive a pixel is. Reactive pixels belong to
+ * content such as particles or animated textures whose change is not described
+ * by its motion, and should rely less on history.
+ */
+MotionVectorRenderer.velocityShaderChunk = `
+    // Velocity in UV space between the clip positions of this and last frame
+    vec2 computeVelocity(vec4 clipPos, vec4 lastClipPos) {
+        return 0.5 * ((clipPos.xy / clipPos.w) - (lastClipPos.xy / lastClipPos.w));
+    }
+
+    vec4 encodeMotion(vec2 velocity, float reactive) {
+        return vec4(velocity, reactive, 1.0);
+    }
+
+    vec4 encodeVelocity(vec2 velocity) {
+        return encodeMotion(velocity, 0.0);
+    }
+
+    vec2 decodeVelocity(vec4 texel) {
+        return texel.xy;
+    }
+
+    float decodeReactive(vec4 texel) {
+        return texel.z;
+    }
+`;
+
+
+/**
+ * Most morph targets a motion material will follow. Each takes a vertex
+ * attribute, so fewer are followed when the other attributes of an object
+ * leave no room for them. See _freeAttributeSlots().
+ */
+MotionVectorRenderer._maxMorphTargets = 8;
+
+
+/**
+ * GLSL to find the model space position of a vertex in this and the last frame
+ * after morphing, skinning and instancing. Which of these apply is chosen by
+ * the defines MOTION_SKINNED, MOTION_MORPH_TARGETS and USE_INSTANCING.
+ */
+MotionVectorRenderer._deformationShaderChunk = `
+    #ifndef MOTION_MORPH_TARGETS
+    #define MOTION_MORPH_TARGETS 0
+    #endif
+
+    #if MOTION_MORPH_TARGETS > 0
+        ${Array.from({length: MotionVectorRenderer._maxMorphTargets}, (_, i) => `
+        #if MOTION_MORPH_TARGETS > ${i}
+        attribute vec3 motionMorphTarget${i};
+        #endif`).join('')}
+
+        uniform float motionMorphInfluences[MOTION_MORPH_TARGETS];
+        uniform float lastMotionMorphInfluences[MOTION_MORPH_TARGETS];
+
+        #ifdef MOTION_MORPH_RELATIVE
+        #define MOTION_MORPH_DELTA(target) (target)
+        #else
+        #define MOTION_MORPH_DELTA(target) ((target) - position)
+        #endif
+
+        vec3 applyMotionMorph(vec3 position, float influences[MOTION_MORPH_TARGETS]) {
+            vec3 morphed = position;
+            ${Array.from({length: MotionVectorRenderer._maxMorphTargets}, (_, i) => `
+            #if MOTION_MORPH_TARGETS > ${i}
+            morphed += MOTION_MORPH_DELTA(motionMorphTarget${i}) * influences[${i}];
+            #endif`).join('')}
+
+            return morphed;
+        }
+    #endif
+
+    #ifdef MOTION_SKINNED
+        // Built in skinned materials already declare the skinning attributes
+        #ifndef USE_SKINNING
+        attribute vec4 skinIndex;
+        attribute vec4 skinWeight;
+        #endif
+
+        uniform mat4 motionBindMatrix;
+        uniform mat4 motionBindMatrixInverse;
+        uniform sampler2D motionBoneTexture;
+        uniform sampler2D lastMotionBoneTexture;
+        uniform float motionBoneTextureWidth;
+
+        // Bone matrices are stored as four consecutive texels in a row
+        mat4 getMotionBoneMatrix(sampler2D boneTexture, float index) {
+            float x = 4.0 * index + 0.5;
+            return mat4(
+                texture2D(boneTexture, vec2(x / motionBoneTextureWidth, 0.5)),
+                texture2D(boneTexture, vec2((x + 1.0) / motionBoneTextureWidth, 0.5)),
+                texture2D(boneTexture, vec2((x + 2.0) / motionBoneTextureWidth, 0.5)),
+                texture2D(boneTexture, vec2((x + 3.0) / motionBoneTextureWidth, 0.5)));
+        }
+
+        vec3 applyMotionSkinning(vec3 position, sampler2D boneTexture) {
+            vec4 bindPosition = motionBindMatrix * vec4(position, 1.0);
+            vec4 skinned = getMotionBoneMatrix(boneTexture, skinIndex.x) * bindPosition * skinWeight.x
+                + getMotionBoneMatrix(boneTexture, skinIndex.y) * bindPosition * skinWeight.y
+                + getMotionBoneMatrix(boneTexture, skinIndex.z) * bindPosition * skinWeight.z
+                + getMotionBoneMatrix(boneTexture, skinIndex.w) * bindPosition * skinWeight.w;
+
+            return (motionBindMatrixInverse * skinned).xyz;
+        }
+    #endif
+
+    #ifdef USE_INSTANCING
+    attribute mat4 lastInstanceMatrix;
+    #endif
+
+    vec4 motionCurrentPosition(vec3 position) {
+        vec3 transformed = position;
+        #if MOTION_MORPH_TARGETS > 0
+        transformed = applyMotionMorph(transformed, motionMorphInfluences);
+        #endif
+        #ifdef MOTION_SKINNED
+        transformed = applyMotionSkinning(transformed, motionBoneTexture);
+        #endif
+
+        #ifdef USE_INSTANCING
+        return instanceMatrix * vec4(transformed, 1.0);
+        #else
+        return vec4(transformed, 1.0);
+        #endif
+    }
+
+    vec4 motionLastPosition(vec3 position) {
+        vec3 transformed = position;
+        #if MOTION_MORPH_TARGETS > 0
+        transformed = applyMotionMorph(transformed, lastMotionMorphInfluences);
+        #endif
+        #ifdef MOTION_SKINNED
+        transformed = applyMotionSkinning(transformed, lastMotionBoneTexture);
+        #endif
+
+        #ifdef USE_INSTANCING
+        return lastInstanceMatrix * vec4(transformed, 1.0);
+        #else
+        return vec4(transformed, 1.0);
+        #endif
+    }
+`;
+
+
 /**
  * Dispose of the MotionVectorRenderer. This must be called when done with the
  * renderer in order to avoid memory leaks.
@@ -33,17 +181,146 @@ MotionVectorRenderer.prototype.dispose = function() {
         if (this._cachedMotionMaterials.hasOwnProperty(id))
             this._cachedMotionMaterials[id].dispose();
     }
+
+    for (let id in this._cachedVelocityMaterials) {
+        if (this._cachedVelocityMaterials.hasOwnProperty(id))
+            this._cachedVelocityMaterials[id].dispose();
+    }
+
+    for (let id in this._deformations) {
+        let {boneTexture, lastBoneTexture} = this._deformations[id];
+        if (boneTexture) {
+            boneTexture.dispose();
+            lastBoneTexture.dispose();
+        }
+    }
+
+    // Take the attributes added for motion back off shared geometry
+    for (let id in this._addedAttributes) {
+        let {geometry, names} = this._addedAttributes[id];
+        for (let name of names)
+            geometry.deleteAttribute(name);
+    }
+    this._addedAttributes = {};
+};
+
+
+/**
+ * Treat the current state of the camera and scene as the last frame, so
+ * nothing is seen as moving in the next motion rendered. This is useful after
+ * a camera cut, where motion from before the cut is meaningless.
+ */
+MotionVectorRenderer.prototype.resetMotion = function() {
+    this._renderLoop.camera.updateMatrixWorld();
+    this._recordLastFrame();
+};
+
+
+/**
+ * Remember the matrices and deformations of the camera and scene as those of
+ * the last frame
+ */
+MotionVectorRenderer.prototype._recordLastFrame = function() {
+    this._lastFrameView = this._renderLoop.camera.matrixWorldInverse.clone();
+    this._lastFrameProjection = this._renderLoop.camera.projectionMatrix.clone();
+
+    this._renderLoop.scene.updateMatrixWorld(false /*force*/);
+    this._renderLoop.scene.traverse(object => {
+        this._modelMatrices[object.id] = object.matrixWorld.clone();
+        this._recordDeformation(object);
+    });
+};
+
+
+/**
+ * Whether color and motion can be rendered in a single pass using multiple
+ * render targets. This requires WebGL2.
+ */
+MotionVectorRenderer.prototype.supportsSinglePass = function() {
+    return this._renderLoop.renderer.capabilities.isWebGL2;
+};
+
+
+/**
+ * Create a render target to hold motion vectors from renderMotionMap()
+ *
+ * @param width the width of the target
+ * @param height the height of the target
+ */
+MotionVectorRenderer.prototype.createMotionTarget = function(width, height) {
+    let target = new THREE.WebGLRenderTarget(width, height, {
+        type: THREE.HalfFloatType
+    });
+
+    this._setVelocityFormat(target.texture);
+    return target;
+};
+
+
+/**
+ * Create a render target usable with renderColorAndMotion(). The color of the
+ * scene is written to texture[0] and motion to texture[1].
+ *
+ * @param width the width of the target
+ * @param height the height of the target
+ */
+MotionVectorRenderer.prototype.createSinglePassTarget = function(width, height) {
+    let target = new THREE.WebGLMultipleRenderTargets(width, height, 2, {
+        type: THREE.HalfFloatType
+    });
+
+    this._setVelocityFormat(target.texture[1]);
+    return target;
+};
+
+
+/**
+ * Set up the format of a texture holding velocity and reactivity
+ *
+ * @param texture the texture to set the format of
+ */
+MotionVectorRenderer.prototype._setVelocityFormat = function(texture) {
+    texture.format = THREE.RGBAFormat;
+    texture.minFilter = THREE.NearestFilter;
+    texture.magFilter = THREE.NearestFilter;
+};
+
+
+/**
+ * Notify the renderer that the canvas has been resized. The projection of the
+ * last frame is replaced with the current one so a change in aspect ratio is
+ * not mistaken for motion.
+ *
+ * @param width the new width of the canvas
+ * @param height the new height of the canvas
+ */
+MotionVectorRenderer.prototype.setSize = function(width, height) {
+    this._lastFrameProjection = this._renderLoop.camera.projectionMatrix.clone();
 };
 
 
 /**
  * Material used to create motion vectors. This should be cloned per object in
- * order to allow new uniforms without recompiling the shader.
+ * order to allow new uniforms without recompiling the shader. Alpha testing and
+ * displacement of the original material are reproduced through defines set by
+ * _getMotionMaterial().
  */
 MotionVectorRenderer.prototype._baseMaterial = new THREE.ShaderMaterial({
-        side: THREE.DoubleSide,
-        
         vertexShader: `
+        ${MotionVectorRenderer._deformationShaderChunk}
+
+        #if defined(MOTION_MAP) || defined(MOTION_ALPHA_MAP) || defined(MOTION_DISPLACEMENT_MAP)
+        #define MOTION_UV
+        uniform mat3 motionUvTransform;
+        varying vec2 motionUv;
+        #endif
+
+        #ifdef MOTION_DISPLACEMENT_MAP
+        uniform sampler2D motionDisplacementMap;
+        uniform float motionDisplacementScale;
+        uniform float motionDisplacementBias;
+        #endif
+
         uniform mat4 lastFrameModel;
         uniform mat4 lastFrameView;
         uniform mat4 lastFrameProjection;
@@ -51,75 +328,634 @@ MotionVectorRenderer.prototype._baseMaterial = new THREE.ShaderMaterial({
         varying vec4 lastclipPos;
 
         void main() {
-            clipPos = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-            lastclipPos = lastFrameProjection * lastFrameView * lastFrameModel * vec4(position, 1.0);
+            vec3 displaced = position;
+
+            #ifdef MOTION_UV
+            motionUv = (motionUvTransform * vec3(uv, 1.0)).xy;
+            #endif
+
+            // Displacement is applied before skinning and morphing rather than
+            // after, which is only an approximation for deformed meshes
+            #ifdef MOTION_DISPLACEMENT_MAP
+            float displacement = texture2D(motionDisplacementMap, motionUv).x;
+            displaced += normalize(normal) * (displacement * motionDisplacementScale + motionDisplacementBias);
+            #endif
+
+            clipPos = projectionMatrix * modelViewMatrix * motionCurrentPosition(displaced);
+            lastclipPos = lastFrameProjection * lastFrameView * lastFrameModel * motionLastPosition(displaced);
 
             gl_Position = clipPos;
         }`,
 
         fragmentShader: `
-        uniform float colorScale;
+        ${MotionVectorRenderer.velocityShaderChunk}
+
+        #ifdef MOTION_ALPHA_TEST
+        uniform float motionOpacity;
+        uniform float motionAlphaTest;
+        #endif
+
+        #if defined(MOTION_MAP) || defined(MOTION_ALPHA_MAP)
+        varying vec2 motionUv;
+        #endif
+
+        #ifdef MOTION_MAP
+        uniform sampler2D motionMap;
+        #endif
+
+        #ifdef MOTION_ALPHA_MAP
+        uniform sampler2D motionAlphaMap;
+        #endif
+
+        #ifdef MOTION_VELOCITY_OVERRIDE
+        uniform vec2 velocityOverride;
+        #endif
+
+        uniform float motionReactive;
         varying vec4 clipPos;
         varying vec4 lastclipPos;
 
         void main() {
-            // Make sure to account for perspective division
-            vec3 motion = ((clipPos / clipPos.w) - (lastclipPos / lastclipPos.w)).xyz;
+            #ifdef MOTION_ALPHA_TEST
+            float alpha = motionOpacity;
+            #ifdef MOTION_MAP
+            alpha *= texture2D(motionMap, motionUv).a;
+            #endif
+            #ifdef MOTION_ALPHA_MAP
+            alpha *= texture2D(motionAlphaMap, motionUv).g;
+            #endif
 
-            // Adjust delta clip space to color space
-            vec3 motionColor = ((colorScale * motion) + 2.0) / 4.0;
+            if (alpha < motionAlphaTest)
+                discard;
+            #endif
 
-            gl_FragColor = vec4(motionColor, 1.0);
+            #if defined(MOTION_ZERO)
+            gl_FragColor = encodeMotion(vec2(0.0), motionReactive);
+            #elif defined(MOTION_VELOCITY_OVERRIDE)
+            gl_FragColor = encodeMotion(velocityOverride, motionReactive);
+            #else
+            gl_FragColor = encodeMotion(computeVelocity(clipPos, lastclipPos), motionReactive);
+            #endif
         }`
     }
 )
 
 
 /**
- * Render a motion map for the scene to the given renderTarget or the canvas if
- * none is specified.
+ * Render a motion map for the scene to the given renderTarget, which should be
+ * created with createMotionTarget(). Objects write motion unless they are
+ * invisible, transparent, or opted out. Setting userData.motionVectors of an
+ * object to false opts it out, so it writes no movement while still covering
+ * what is behind it, or nothing at all when transparent. Setting it to true
+ * makes an object write motion even when transparent. A THREE.Vector2 in
+ * userData.velocityOverride is written as the UV velocity of an object in
+ * place of its actual motion. userData.taaReactive marks an object as reactive
+ * (see velocityShaderChunk), and may be true or a number between 0 and 1.
  * 
- * @param colorScale An amount to scale the color of the motion by. Useful for
- *        demonstration and debugging
- * @param renderTarget an optional render target
+ * @param renderTarget the render target to write motion to
  */
-MotionVectorRenderer.prototype.renderMotionMap = function(colorScale, renderTarget) {
+MotionVectorRenderer.prototype.renderMotionMap = function(renderTarget) {
     let {renderer, scene, camera} = this._renderLoop;
 
+    // Bones are read before rendering, so must be up to date
+    scene.updateMatrixWorld(false /*force*/);
+
     // Prepare scene objects to be rendered
     scene.traverse(object => {
         if (!object.material)
             return;
 
+        let deformation = this._updateDeformation(object);
+
         object.oldMaterial = object.material;
+        object.material = Array.isArray(object.material)
+            ? object.material.map((material, i) => this._getMotionMaterial(object, material, i, deformation))
+            : this._getMotionMaterial(object, object.material, 0, deformation);
+    });
+
+    renderer.setRenderTarget(renderTarget);
+    renderer.setClearColor(0x000000);
+    renderer.render(scene, camera);
 
-        // Disposing of shader flyweights kills the original compiled shader.
-        // We can't do that without killing our frame rate. Cache a copy of the
-        // material so we don't leak shader materials but don't need to
-        // recompile.
-        let cachedMaterial = this._cachedMotionMaterials[object.id]
-        if (cachedMaterial)
-            object.material = cachedMaterial;
-        else {
-            object.material = this._baseMaterial.clone();
-            this._cachedMotionMaterials[object.id] = object.material;
+    // Restore scene objects to previous state
+    scene.traverse(object => {
+        if (object.material) {
+            object.material = object.oldMaterial;
+            delete object.oldMaterial;
         }
+    });
+};
+
+
+/**
+ * Get the material used to write motion for a material of an object, matching
+ * the visibility, culling and alpha testing of the original
+ *
+ * @param object the object the material belongs to
+ * @param material the original material
+ * @param index the index of the material in the materials of the object
+ * @param deformation the deformation of the object from _updateDeformation()
+ */
+MotionVectorRenderer.prototype._getMotionMaterial = function(object, material, index, deformation) {
+    // Disposing of shader flyweights kills the original compiled shader.
+    // We can't do that without killing our frame rate. Cache a copy of the
+    // material so we don't leak shader materials but don't need to
+    // recompile.
+    let key = object.id + ':' + index;
+    let motionMaterial = this._cachedMotionMaterials[key];
+    if (!motionMaterial) {
+        motionMaterial = this._baseMaterial.clone();
+        this._cachedMotionMaterials[key] = motionMaterial;
+    }
+
+    let defines = Object.assign(this._motionOutputDefines(object, material), deformation.defines);
+    motionMaterial.visible = material.visible && !('MOTION_DISABLED' in defines);
+    motionMaterial.side = material.side;
+
+    let uniforms = motionMaterial.uniforms;
+    uniforms.lastFrameModel = {value: this._modelMatrices[object.id] || object.matrixWorld};
+    uniforms.lastFrameView = {value: this._lastFrameView};
+    uniforms.lastFrameProjection = {value: this._lastFrameProjection};
+    uniforms.velocityOverride = {value: object.userData.velocityOverride};
+    uniforms.motionReactive = {value: this._reactivity(object)};
+
+    for (let name in deformation.uniforms)
+        uniforms[name] = {value: deformation.uniforms[name]};
+
+    if (material.alphaTest > 0) {
+        defines.MOTION_ALPHA_TEST = '';
+        uniforms.motionAlphaTest = {value: material.alphaTest};
+        uniforms.motionOpacity = {value: material.opacity};
+
+        if (material.map) {
+            defines.MOTION_MAP = '';
+            uniforms.motionMap = {value: material.map};
+        }
+
+        if (material.alphaMap) {
+            defines.MOTION_ALPHA_MAP = '';
+            uniforms.motionAlphaMap = {value: material.alphaMap};
+        }
+    }
+
+    if (material.displacementMap) {
+        defines.MOTION_DISPLACEMENT_MAP = '';
+        uniforms.motionDisplacementMap = {value: material.displacementMap};
+        uniforms.motionDisplacementScale = {value: material.displacementScale};
+        uniforms.motionDisplacementBias = {value: material.displacementBias};
+    }
+
+    // Like three.js, all maps share the transform of the first one present
+    let uvTexture = defines.MOTION_MAP !== undefined && material.map
+        || defines.MOTION_ALPHA_MAP !== undefined && material.alphaMap
+        || material.displacementMap;
+    if (uvTexture)
+        uniforms.motionUvTransform = {value: this._uvTransform(uvTexture)};
+
+    this._setMotionDefines(motionMaterial, defines);
+    return motionMaterial;
+};
 
-        let uniforms = object.material.uniforms;
-        uniforms.colorScale = {value: colorScale};
-        uniforms.lastFrameModel = {value: this._modelMatrices[object.id] || object.matrixWorld};
-        uniforms.lastFrameView = {value: this._lastFrameView};
-        uniforms.lastFrameProjection = {value: this._lastFrameProjection};
+
+/**
+ * Get the defines controlling what motion a material of an object writes.
+ * Transparent objects would overwrite the motion of what is behind them, so
+ * write nothing unless they opt in or are reactive. Opaque objects which opt
+ * out still hide what is behind them, so write no movement instead.
+ *
+ * @param object the object the material belongs to
+ * @param material the original material
+ */
+MotionVectorRenderer.prototype._motionOutputDefines = function(object, material) {
+    let defines = {};
+    let motionVectors = object.userData.motionVectors;
+
+    let optedIn = motionVectors === true || this._reactivity(object) > 0;
+
+    if (material.transparent && (motionVectors === false || !optedIn))
+        defines.MOTION_DISABLED = '';
+    else if (motionVectors === false)
+        defines.MOTION_ZERO = '';
+    else if (object.userData.velocityOverride)
+        defines.MOTION_VELOCITY_OVERRIDE = '';
+
+    return defines;
+};
+
+
+/**
+ * Get how reactive an object is from its userData.taaReactive, which may be
+ * true or a number between 0 and 1
+ *
+ * @param object the object to get the reactivity of
+ */
+MotionVectorRenderer.prototype._reactivity = function(object) {
+    let reactive = object.userData.taaReactive;
+    if (reactive === true)
+        return 1;
+
+    return reactive ? Math.min(Math.max(reactive, 0), 1) : 0;
+};
+
+
+/**
+ * Get the matrix transforming UVs for a texture
+ *
+ * @param texture the texture to get the transform of
+ */
+MotionVectorRenderer.prototype._uvTransform = function(texture) {
+    if (texture.matrixAutoUpdate)
+        texture.updateMatrix();
+    return texture.matrix;
+};
+
+
+/**
+ * Render the scene with its own materials while also writing motion vectors
+ * to a second color attachment. This avoids rendering the scene twice, and is
+ * only available when supportsSinglePass() is true. Objects follow the same
+ * rules for writing motion as in renderMotionMap().
+ *
+ * @param renderTarget a target created with createSinglePassTarget()
+ * @param motionProjection the projection used to compute motion, which should
+ *        be free of any jitter applied to the camera
+ */
+MotionVectorRenderer.prototype.renderColorAndMotion = function(renderTarget, motionProjection) {
+    let {renderer, scene, camera} = this._renderLoop;
+    scene.updateMatrixWorld(false /*force*/);
+
+    scene.traverse(object => {
+        if (!object.material)
+            return;
+
+        let deformation = this._updateDeformation(object);
+
+        object.oldMaterial = object.material;
+        object.material = Array.isArray(object.material)
+            ? object.material.map((material, i) => this._getVelocityMaterial(object, material, i))
+            : this._getVelocityMaterial(object, object.material, 0);
+
+        for (let material of [].concat(object.material)) {
+            let sourceMaterial = material.userData.sourceMaterial;
+            this._setMotionDefines(material, Object.assign({},
+                sourceMaterial.defines,
+                this._motionOutputDefines(object, sourceMaterial),
+                deformation.defines));
+
+            let uniforms = material.userData.velocityUniforms;
+            uniforms.lastFrameModel.value = this._modelMatrices[object.id] || object.matrixWorld;
+            uniforms.lastFrameView.value = this._lastFrameView;
+            uniforms.lastFrameProjection.value = this._lastFrameProjection;
+            uniforms.motionProjection.value = motionProjection;
+            uniforms.velocityOverride.value = object.userData.velocityOverride;
+            uniforms.motionReactive.value = this._reactivity(object);
+
+            for (let name in deformation.uniforms)
+                uniforms[name].value = deformation.uniforms[name];
+        }
     });
 
-    renderer.setClearColor("rgb(50%, 50%, 50%)");
-    renderer.render(scene, camera, renderTarget);
+    // Clearing to black also clears motion to no movement
+    renderer.setRenderTarget(renderTarget);
+    renderer.setClearColor(0x000000);
+    renderer.render(scene, camera);
 
-    // Restore scene objects to previous state
     scene.traverse(object => {
-        if (object.material) {
+        if (object.oldMaterial) {
             object.material = object.oldMaterial;
             delete object.oldMaterial;
         }
     });
 };
+
+
+/**
+ * Bring the deformation of an object for this frame up to date. Returns the
+ * defines and uniform values needed by its motion material to follow the
+ * deformation between the last frame and this one.
+ *
+ * @param object the object being rendered
+ */
+MotionVectorRenderer.prototype._updateDeformation = function(object) {
+    let defines = {};
+    let uniforms = {};
+
+    let state = this._deformations[object.id];
+    if (!state) {
+        state = {};
+        this._deformations[object.id] = state;
+    }
+
+    let geometry = object.geometry;
+    let morphTargets = geometry && geometry.morphAttributes && geometry.morphAttributes.position;
+    let count = morphTargets
+        ? Math.min(morphTargets.length, MotionVectorRenderer._maxMorphTargets, this._freeAttributeSlots(object))
+        : 0;
+    if (count > 0 && object.morphTargetInfluences) {
+        for (let i = 0; i < count; i++)
+            this._setGeometryAttribute(geometry, 'motionMorphTarget' + i, morphTargets[i]);
+
+        let influences = Array.from(object.morphTargetInfluences.slice(0, count));
+        if (!state.lastMorphInfluences || state.lastMorphInfluences.length !== count)
+            state.lastMorphInfluences = influences.slice();
+
+        defines.MOTION_MORPH_TARGETS = count;
+        if (geometry.morphTargetsRelative)
+            defines.MOTION_MORPH_RELATIVE = '';
+
+        uniforms.motionMorphInfluences = influences;
+        uniforms.lastMotionMorphInfluences = state.lastMorphInfluences;
+    }
+
+    if (object.isSkinnedMesh && object.skeleton) {
+        let skeleton = object.skeleton;
+        skeleton.update();
+
+        let size = skeleton.bones.length * 16;
+        if (!state.boneTexture || state.boneTexture.image.data.length !== size) {
+            if (state.boneTexture) {
+                state.boneTexture.dispose();
+                state.lastBoneTexture.dispose();
+            }
+
+            state.boneTexture = this._createBoneTexture(skeleton.bones.length);
+            state.lastBoneTexture = this._createBoneTexture(skeleton.bones.length);
+            state.lastBoneTexture.image.data.set(skeleton.boneMatrices.subarray(0, size));
+            state.lastBoneTexture.needsUpdate = true;
+        }
+
+        state.boneTexture.image.data.set(skeleton.boneMatrices.subarray(0, size));
+        state.boneTexture.needsUpdate = true;
+
+        defines.MOTION_SKINNED = '';
+        uniforms.motionBindMatrix = object.bindMatrix;
+        uniforms.motionBindMatrixInverse = object.bindMatrixInverse;
+        uniforms.motionBoneTexture = state.boneTexture;
+        uniforms.lastMotionBoneTexture = state.lastBoneTexture;
+        uniforms.motionBoneTextureWidth = state.boneTexture.image.width;
+    }
+
+    if (object.isInstancedMesh) {
+        let instanceMatrices = object.instanceMatrix.array;
+        if (!state.lastInstanceMatrix || state.lastInstanceMatrix.array.length !== instanceMatrices.length) {
+            let lastMatrices = new Float32Array(instanceMatrices);
+            state.lastInstanceMatrix = new THREE.InstancedBufferAttribute(lastMatrices, 16);
+        }
+
+        // Geometry shared between instanced meshes can only follow one of them
+        this._setGeometryAttribute(geometry, 'lastInstanceMatrix', state.lastInstanceMatrix);
+    }
+
+    return {defines, uniforms};
+};
+
+
+/**
+ * Remember the deformation of an object after a frame has been rendered so
+ * motion can be computed from it in the next frame
+ *
+ * @param object the object which was rendered
+ */
+MotionVectorRenderer.prototype._recordDeformation = function(object) {
+    let state = this._deformations[object.id];
+    if (!state)
+        return;
+
+    if (state.lastMorphInfluences) {
+        for (let i = 0; i < state.lastMorphInfluences.length; i++)
+            state.lastMorphInfluences[i] = object.morphTargetInfluences[i];
+    }
+
+    if (state.lastBoneTexture) {
+        let data = state.lastBoneTexture.image.data;
+        data.set(object.skeleton.boneMatrices.subarray(0, data.length));
+        state.lastBoneTexture.needsUpdate = true;
+    }
+
+    if (state.lastInstanceMatrix) {
+        state.lastInstanceMatrix.array.set(object.instanceMatrix.array);
+        state.lastInstanceMatrix.needsUpdate = true;
+    }
+};
+
+
+/**
+ * Create a float texture holding the matrices of a skeleton, with each matrix
+ * taking four consecutive texels
+ *
+ * @param boneCount the number of bones in the skeleton
+ */
+MotionVectorRenderer.prototype._createBoneTexture = function(boneCount) {
+    let data = new Float32Array(boneCount * 16);
+    let texture = new THREE.DataTexture(data, boneCount * 4, 1, THREE.RGBAFormat, THREE.FloatType);
+    texture.minFilter = THREE.NearestFilter;
+    texture.magFilter = THREE.NearestFilter;
+    texture.generateMipmaps = false;
+
+    return texture;
+};
+
+
+/**
+ * Set the defines of a motion material, only recompiling it when they change
+ *
+ * @param material the material to set defines on
+ * @param defines the new defines of the material
+ */
+MotionVectorRenderer.prototype._setMotionDefines = function(material, defines) {
+    let key = JSON.stringify(defines);
+    if (material.userData.motionDefinesKey !== key) {
+        material.userData.motionDefinesKey = key;
+        material.needsUpdate = true;
+    }
+
+    material.defines = defines;
+};
+
+
+/**
+ * Get how many vertex attributes are left for motion morph targets once the
+ * motion material of an object has bound everything else it reads. A mat4
+ * attribute takes four slots.
+ *
+ * @param object the object being rendered
+ */
+MotionVectorRenderer.prototype._freeAttributeSlots = function(object) {
+    let maxAttributes = this._renderLoop.renderer.capabilities.maxAttributes || 16;
+
+    // Position, plus normal and uv for displacement and alpha testing
+    let used = 3;
+    if (object.isSkinnedMesh)
+        used += 2;
+    if (object.isInstancedMesh)
+        used += 8; // instanceMatrix and lastInstanceMatrix
+
+    return Math.max(maxAttributes - used, 0);
+};
+
+
+/**
+ * Add an attribute to a geometry if it is not already present. Attributes
+ * added this way are removed again when the renderer is disposed.
+ *
+ * @param geometry the BufferGeometry to add the attribute to
+ * @param name the name of the attribute
+ * @param attribute the attribute to add
+ */
+MotionVectorRenderer.prototype._setGeometryAttribute = function(geometry, name, attribute) {
+    let attributes = geometry.attributes;
+    if (attributes[name] === attribute)
+        return;
+
+    let added = this._addedAttributes[geometry.id];
+    if (!added) {
+        added = {geometry, names: new Set()};
+        this._addedAttributes[geometry.id] = added;
+    }
+    added.names.add(name);
+
+    geometry.setAttribute(name, attribute);
+};
+
+
+/**
+ * Get a copy of a material of an object which additionally writes motion
+ * vectors to a second color attachment. Copies are cached per object so the
+ * motion of each object may be set without recompiling, and are copied from
+ * the original again whenever its version changes.
+ *
+ * @param object the object the material belongs to
+ * @param material the original material
+ * @param index the index of the material in the materials of the object
+ */
+MotionVectorRenderer.prototype._getVelocityMaterial = function(object, material, index) {
+    let key = object.id + ':' + index;
+    let velocityMaterial = this._cachedVelocityMaterials[key];
+
+    if (velocityMaterial && velocityMaterial.userData.sourceMaterial !== material) {
+        velocityMaterial.dispose();
+        velocityMaterial = null;
+    }
+
+    if (!velocityMaterial) {
+        velocityMaterial = material.clone();
+        velocityMaterial.userData = {
+            sourceMaterial: material,
+            velocityUniforms: {
+                lastFrameModel: {value: null},
+                lastFrameView: {value: null},
+                lastFrameProjection: {value: null},
+                motionProjection: {value: null},
+                motionMorphInfluences: {value: null},
+                lastMotionMorphInfluences: {value: null},
+                motionBindMatrix: {value: null},
+                motionBindMatrixInverse: {value: null},
+                motionBoneTexture: {value: null},
+                lastMotionBoneTexture: {value: null},
+                motionBoneTextureWidth: {value: null},
+                velocityOverride: {value: null},
+                motionReactive: {value: 0}
+            }
+        };
+
+        velocityMaterial.onBeforeCompile = (shader, renderer) => {
+            material.onBeforeCompile(shader, renderer);
+
+            Object.assign(shader.uniforms, velocityMaterial.userData.velocityUniforms);
+            shader.vertexShader = this._injectVelocityVertex(shader.vertexShader);
+            shader.fragmentShader = this._injectVelocityFragment(shader.fragmentShader);
+        };
+        velocityMaterial.customProgramCacheKey = () => material.customProgramCacheKey() + ':velocity';
+
+        this._cachedVelocityMaterials[key] = velocityMaterial;
+    }
+    else if (velocityMaterial.userData.sourceVersion !== material.version) {
+        // Only a change in version needs the properties of the original again
+        let {onBeforeCompile, customProgramCacheKey, userData} = velocityMaterial;
+        velocityMaterial.copy(material);
+        Object.assign(velocityMaterial, {onBeforeCompile, customProgramCacheKey, userData});
+    }
+
+    if (velocityMaterial.userData.sourceVersion !== material.version) {
+        // Uniforms of shader materials are looked up through the original so
+        // changes to them carry over
+        if (material.isShaderMaterial)
+            velocityMaterial.uniforms = Object.create(material.uniforms);
+
+        velocityMaterial.userData.sourceVersion = material.version;
+        velocityMaterial.needsUpdate = true;
+    }
+
+    return velocityMaterial;
+};
+
+
+/**
+ * Add computation of current and last frame clip positions to a vertex shader
+ *
+ * @param vertexShader the source of the vertex shader
+ */
+MotionVectorRenderer.prototype._injectVelocityVertex = function(vertexShader) {
+    // Built in materials have a transformed position including effects such as
+    // displacement. Deformations tracked between frames start from the
+    // original position instead, since they are applied twice otherwise.
+    let position = vertexShader.includes('#include <begin_vertex>') ? 'transformed' : 'position';
+
+    let declarations = `
+    ${MotionVectorRenderer._deformationShaderChunk}
+
+    #if defined(MOTION_SKINNED) || MOTION_MORPH_TARGETS > 0
+    #define MOTION_SOURCE_POSITION position
+    #else
+    #define MOTION_SOURCE_POSITION ${position}
+    #endif
+
+    uniform mat4 lastFrameModel;
+    uniform mat4 lastFrameView;
+    uniform mat4 lastFrameProjection;
+    uniform mat4 motionProjection;
+    varying vec4 velocityClipPos;
+    varying vec4 velocityLastClipPos;
+    `;
+
+    let computation = `
+        velocityClipPos = motionProjection * modelViewMatrix * motionCurrentPosition(MOTION_SOURCE_POSITION);
+        velocityLastClipPos = lastFrameProjection * lastFrameView * lastFrameModel * motionLastPosition(MOTION_SOURCE_POSITION);
+    }`;
+
+    return declarations + vertexShader.replace(/}\s*$/, computation);
+};
+
+
+/**
+ * Add output of motion to the second color attachment of a fragment shader.
+ * On WebGL2 three.js declares the color output at location 0, so motion goes
+ * to location 1.
+ *
+ * @param fragmentShader the source of the fragment shader
+ */
+MotionVectorRenderer.prototype._injectVelocityFragment = function(fragmentShader) {
+    let declarations = `
+    layout(location = 1) out highp vec4 pc_velocity;
+    uniform vec2 velocityOverride;
+    uniform float motionReactive;
+    varying vec4 velocityClipPos;
+    varying vec4 velocityLastClipPos;
+    ${MotionVectorRenderer.velocityShaderChunk}
+    `;
+
+    // Writing zero alpha leaves the motion behind blended materials untouched
+    let computation = `
+        #if defined(MOTION_DISABLED)
+        pc_velocity = vec4(0.0);
+        #elif defined(MOTION_ZERO)
+        pc_velocity = encodeMotion(vec2(0.0), motionReactive);
+        #elif defined(MOTION_VELOCITY_OVERRIDE)
+        pc_velocity = encodeMotion(velocityOverride, motionReactive);
+        #else
+        pc_velocity = encodeMotion(computeVelocity(velocityClipPos, velocityLastClipPos), motionReactive);
+        #endif
+    }`;
+
+    return declarations + fragmentShader.replace(/}\s*$/, computation);
+};
@@ -1,14 +1,9 @@
 /**
- * A mode of antialiasing to use
+ * A mode of antialiasing to use. Modes are added to this as they are
+ * registered with RenderLoop.registerAntialiasingMode()
  * @enum
  */
-const AntiAliasingMode = {
-    NONE: 0,
-    MSAA: 1,
-    SSAA: 2,
-    TAA: 3,
-    MOTION: 4,
-}
+const AntiAliasingMode = {}
 
 
 /**
@@ -16,30 +11,149 @@ const AntiAliasingMode = {
  * 
  * @property props properties related to the renderer
  * @property props.canvasElement the dom element pointing to the canvas to use
- * @property props.antialiasing the AntiAliasingMode to use
+ * @property props.antialiasing the AntiAliasingMode to use, NONE if missing or
+ *           invalid
  * @property props.scene the scene to render
  * @property props.camera the camera that should be used to render the scene
+ * @property props.upsampleScale an optional fraction of the canvas resolution
+ *           to render at when using AntiAliasingMode.TAAU
+ * @property props.taaOptions optional options for TaaRenderPass
+ * @property props.sharpenOptions optional options for sharpening TAA output.
+ *           See setSharpenOptions()
+ * @property props.tonemapOptions optional options for tonemapping TAA output.
+ *           See setTonemapOptions()
+ * @property props.fixedFrameTime optional milliseconds every frame advances
+ *           time by in place of the real time passed. See setFixedFrameTime()
+ * @property props.seed optional seed for the random numbers of random()
  */
 function RenderLoop(props) {
-    this.renderer = new THREE.WebGLRenderer({
-        canvas: props.canvasElement,
-        antialias: props.antialiasing == AntiAliasingMode.MSAA
-    });
+    this.renderer = new THREE.WebGLRenderer({canvas: props.canvasElement});
     this.scene = props.scene;
     this.camera = props.camera;
+    this.upsampleScale = props.upsampleScale || 0.5;
+    this.taaOptions = Object.assign({}, props.taaOptions);
+    this.sharpenOptions = Object.assign({enabled: false, strength: 0.5}, props.sharpenOptions);
+    this.tonemapOptions = Object.assign({operator: TonemapOperator.LINEAR, exposure: 1.0}, props.tonemapOptions);
+    this.fixedFrameTime = props.fixedFrameTime || null;
+    this.comparisonMode = null;
+    this.comparisonSplit = 0.5;
+
+    // Anything random in the scene should use this so a seed reproduces it
+    let seed = props.seed !== undefined ? props.seed : Math.floor(Math.random() * 4294967296);
+    this.random = RenderLoop._createRandom(seed);
     
     this._preRenderCallbacks = {_next: null};
     this._postRenderCallbacks = {_next: null};
     this._lastFameTime = performance.now();
-    this._composer = new THREE.EffectComposer(this.renderer);
+    this._isRendering = false;
+    this._isPaused = false;
+    this._animationFrame = null;
+    this._isCapturing = false;
+    this._abortCapture = null;
+    this._hasOverlay = false;
     this.renderer.shadowMap.enabled = true;
-    this.setAntialiasingMode(props.antialiasing);
+
+    let antialiasing = props.antialiasing !== undefined ? props.antialiasing : AntiAliasingMode.NONE;
+    if (!RenderLoop._getModeDefinition(antialiasing)) {
+        console.error("Invalid AA Mode " + antialiasing + ", rendering without antialiasing");
+        antialiasing = AntiAliasingMode.NONE;
+    }
+    this.setAntialiasingMode(antialiasing);
+}
+
+
+/**
+ * Create a seeded generator of random numbers between 0 and 1 (Based on
+ * Mulberry32)
+ *
+ * @param seed an integer seed
+ */
+RenderLoop._createRandom = function(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+
+/**
+ * Layer for objects drawn after antialiasing, on top of the antialiased image.
+ * Objects only on this layer stay crisp and never enter the history of
+ * temporal modes, which suits HUD elements. The depth of the scene is not kept
+ * for the overlay, so overlay objects are never hidden by the scene. Add
+ * objects with addOverlayObject().
+ */
+RenderLoop.OVERLAY_LAYER = 31;
+
+
+/**
+ * Modes of antialiasing that have been registered, in order of registration
+ */
+RenderLoop._antialiasingModes = [];
+
+
+/**
+ * Register a new mode of antialiasing which may then be set on any RenderLoop.
+ * The mode is added to AntiAliasingMode under the given name.
+ *
+ * @param name the name of the mode
+ * @param definition an object describing the mode containing
+ *        - create(renderLoop): set up the mode, returning an object holding
+ *          any state needed by the other hooks
+ *        - render(renderLoop, state, timeDifference): render a frame to the
+ *          canvas
+ *        - dispose(renderLoop, state): optionally release anything created
+ *        - setSize(renderLoop, state, width, height): optionally respond to
+ *          the canvas being resized
+ *        - optionsChanged(renderLoop, state): optionally respond to TAA,
+ *          sharpening or tonemapping options of the RenderLoop changing
+ *        - resetHistory(renderLoop, state): optionally discard anything
+ *          carried over from earlier frames
+ *        - visualization: whether the mode shows something other than the
+ *          antialiased scene, so it is left out of image quality comparisons
+ * @return the value of the mode in AntiAliasingMode
+ */
+RenderLoop.registerAntialiasingMode = function(name, definition) {
+    if (AntiAliasingMode.hasOwnProperty(name)) {
+        console.error("Antialiasing mode " + name + " is already registered");
+        return AntiAliasingMode[name];
+    }
+
+    let value = RenderLoop._antialiasingModes.length;
+    RenderLoop._antialiasingModes.push(Object.assign({name: name, value: value}, definition));
+    AntiAliasingMode[name] = value;
+
+    return value;
+}
+
+
+/**
+ * Get the names and values of all registered modes of antialiasing, in order
+ * of registration, and whether each is a visualization
+ */
+RenderLoop.getAntialiasingModes = function() {
+    return RenderLoop._antialiasingModes.map(({name, value, visualization}) => ({
+        name: name,
+        value: value,
+        visualization: !!visualization
+    }));
+}
+
+
+/**
+ * Get the definition of a registered mode of antialiasing
+ *
+ * @param mode the value of the mode in AntiAliasingMode
+ */
+RenderLoop._getModeDefinition = function(mode) {
+    return RenderLoop._antialiasingModes[mode];
 }
 
 
 /**
- * Set the mode of antialiasing used to render frames. This may result in large
- * hangs from recreating the webgl context.
+ * Set the mode of antialiasing used to render frames
  * 
  * @param mode the mode to set
  */
@@ -47,48 +161,294 @@ RenderLoop.prototype.setAntialiasingMode = function(mode) {
     if (this.antialiasing == mode)
         return;
 
-    if (this.antialiasing == AntiAliasingMode.MSAA || mode == AntiAliasingMode.MSAA)
-        this._rebuildGlContext(mode);
+    let definition = RenderLoop._getModeDefinition(mode);
+    if (!definition) {
+        console.error("Invalid AA Mode Set");
+        return;
+    }
 
     // Do some cleanup
-    this._composer.passes = [];
-    if (this._ssaaPass)
-        this._ssaaPass.dispose();
-    if (this._taaPass)
-        this._taaPass.dispose();
-    if (this._motionVecRenderer)
-        this._motionVecRenderer.dispose();
-
-    switch(mode) {
-        case AntiAliasingMode.SSAA:
-            this._ssaaPass = new THREE.SSAARenderPass(this.scene, this.camera);
-            this._ssaaPass.renderToScreen = true;
-            this._ssaaPass.sampleLevel = 3; // 8x SSAA
-            this._composer.addPass(this._ssaaPass);
-            break;
-
-        case AntiAliasingMode.TAA:
-            this._taaPass = new TaaRenderPass(this);
-            this._taaPass.renderToScreen = true;
-            this._composer.addPass(this._taaPass);
-            break;
-
-        case AntiAliasingMode.MOTION:
-            this._motionVecRenderer = new MotionVectorRenderer(this);
-            break;
-
-        case AntiAliasingMode.NONE:
-        case AntiAliasingMode.MSAA:
-            break;
-
-        default:
-            console.error("Invalid AA Mode Set");
-    }
+    let oldDefinition = this._modeDefinition;
+    if (oldDefinition && oldDefinition.dispose)
+        oldDefinition.dispose(this, this._modeState);
 
+    this._modeDefinition = definition;
+    this._modeState = definition.create(this);
     this.antialiasing = mode;
 }
 
 
+/**
+ * Set a second mode of antialiasing to compare against. It is rendered over
+ * the part of the canvas right of comparisonSplit in the same frame as the
+ * main mode.
+ *
+ * @param mode the mode to compare against, or null to stop comparing
+ */
+RenderLoop.prototype.setComparisonMode = function(mode) {
+    if (this._comparisonDefinition) {
+        if (this._comparisonDefinition.dispose)
+            this._comparisonDefinition.dispose(this, this._comparisonState);
+
+        this._comparisonDefinition = null;
+        this._comparisonState = null;
+        this.comparisonMode = null;
+    }
+
+    if (mode === null)
+        return;
+
+    let definition = RenderLoop._getModeDefinition(mode);
+    if (!definition) {
+        console.error("Invalid comparison AA Mode Set");
+        return;
+    }
+
+    this._comparisonDefinition = definition;
+    this._comparisonState = definition.create(this);
+    this.comparisonMode = mode;
+}
+
+
+/**
+ * Set where the canvas is split between the main mode and the comparison mode
+ *
+ * @param split the fraction of the width of the canvas left of the split
+ */
+RenderLoop.prototype.setComparisonSplit = function(split) {
+    this.comparisonSplit = Math.min(Math.max(split, 0), 1);
+}
+
+
+/**
+ * Change options used by TAA modes. These are applied to the active TAA pass
+ * immediately and kept for any pass created later. The render scale is
+ * chosen by the mode and cannot be set here.
+ *
+ * @param options options for TaaRenderPass. See TaaRenderPass.setOptions()
+ */
+RenderLoop.prototype.setTaaOptions = function(options) {
+    options = Object.assign({}, options);
+    delete options.renderScale;
+    Object.assign(this.taaOptions, options);
+    this._notifyOptionsChanged();
+}
+
+
+/**
+ * Change options used to sharpen the output of TAA modes. These are applied
+ * immediately and kept when switching modes.
+ *
+ * @param options an object containing any of
+ *        - enabled: whether a SharpenPass is chained after TAA
+ *        - strength: the amount of sharpening between 0 and 1
+ */
+RenderLoop.prototype.setSharpenOptions = function(options) {
+    Object.assign(this.sharpenOptions, options);
+    this._notifyOptionsChanged();
+}
+
+
+/**
+ * Change options used to tonemap the linear HDR output of TAA modes. These
+ * are applied immediately and kept when switching modes.
+ *
+ * @param options an object containing any of
+ *        - operator: the TonemapOperator to apply
+ *        - exposure: a multiplier applied to color before tonemapping
+ */
+RenderLoop.prototype.setTonemapOptions = function(options) {
+    Object.assign(this.tonemapOptions, options);
+    this._notifyOptionsChanged();
+}
+
+
+/**
+ * Discard the history of temporal antialiasing, so nothing from before is
+ * blended into the next frame. This should be called when the camera jumps in
+ * a way TAA can't detect as a camera cut.
+ */
+RenderLoop.prototype.resetHistory = function() {
+    if (this._modeDefinition.resetHistory)
+        this._modeDefinition.resetHistory(this, this._modeState);
+
+    if (this._comparisonDefinition && this._comparisonDefinition.resetHistory)
+        this._comparisonDefinition.resetHistory(this, this._comparisonState);
+}
+
+
+/**
+ * Advance time by the same amount for every frame rendered, in place of the
+ * real time passed. Callbacks and antialiasing then see the same time
+ * differences on every run regardless of refresh rate, so together with a
+ * seed the same frames are produced each time. Time is tied to frames rather
+ * than the clock, so the scene runs slower than real time when frames take
+ * longer than the frame time, and faster when they take less.
+ *
+ * @param frameTime milliseconds to advance each frame, or null to follow real
+ *        time
+ */
+RenderLoop.prototype.setFixedFrameTime = function(frameTime) {
+    this.fixedFrameTime = frameTime;
+}
+
+
+/**
+ * Capture a sequence of frames exactly as they are drawn to the canvas, after
+ * antialiasing and overlays. Time advances by a fixed frame time for every
+ * captured frame, so with a seed the same frames are captured on every run.
+ * Frames are taken from the running loop, or from step() while it is paused.
+ *
+ * @param options an object containing any of
+ *        - frameCount: the number of frames to capture (60 by default)
+ *        - frameTime: milliseconds to advance each frame. Defaults to the
+ *          fixed frame time of the RenderLoop, or 60 frames per second
+ *          without one.
+ *        - format: 'png' for a sequence of images (the default) or 'webm' for
+ *          a video clip. Frames of a clip are timed by when they were
+ *          captured, so only PNG sequences are exact.
+ *        - resetHistory: whether the antialiasing mode is re-created first so
+ *          frames rendered before the capture can't affect it (true by
+ *          default)
+ * @return a Promise resolving to an array of PNG Blobs in frame order, or to a
+ *         WebM Blob. It is rejected if the RenderLoop is disposed first, or
+ *         if the canvas can't be recorded.
+ */
+RenderLoop.prototype.capture = function(options) {
+    options = Object.assign({
+        frameCount: 60,
+        frameTime: this.fixedFrameTime || 1000 / 60,
+        format: 'png',
+        resetHistory: true
+    }, options);
+
+    if (this._isCapturing)
+        return Promise.reject(new Error("A capture is already in progress"));
+
+    let canvas = this.renderer.domElement;
+    return new Promise((resolve, reject) => {
+        // Set up recording before anything else, so where it throws the
+        // capture is rejected without having changed the RenderLoop
+        let stream, recorder;
+        let chunks = [];
+        if (options.format == 'webm') {
+            stream = canvas.captureStream(0);
+            recorder = new MediaRecorder(stream, {mimeType: 'video/webm'});
+            recorder.ondataavailable = (event) => chunks.push(event.data);
+        }
+
+        this._isCapturing = true;
+        if (options.resetHistory)
+            this._recreateModeState();
+
+        let oldFrameTime = this.fixedFrameTime;
+        this.fixedFrameTime = options.frameTime;
+
+        let frames = [];
+        let framesCaptured = 0;
+        let finished = false;
+        let finish = () => {
+            // A recorder error may still arrive after the last frame
+            if (finished)
+                return;
+
+            finished = true;
+            callbackNode.cancel();
+            this.fixedFrameTime = oldFrameTime;
+            this._isCapturing = false;
+            this._abortCapture = null;
+        };
+
+        let callbackNode = this.onPostRender(() => {
+            // The drawing buffer is only valid until control returns to the
+            // browser, so frames are read back right after rendering
+            if (recorder)
+                stream.getVideoTracks()[0].requestFrame();
+            else
+                frames.push(new Promise(resolveFrame => canvas.toBlob(resolveFrame, 'image/png')));
+
+            if (++framesCaptured < options.frameCount)
+                return;
+
+            finish();
+            if (recorder) {
+                recorder.onstop = () => resolve(new Blob(chunks, {type: 'video/webm'}));
+                recorder.stop();
+            }
+            else
+                Promise.all(frames).then(resolve, reject);
+        });
+
+        // Called by dispose(), since no more frames will be rendered
+        this._abortCapture = () => {
+            finish();
+            if (recorder)
+                recorder.stop();
+            reject(new Error("The RenderLoop was disposed during the capture"));
+        };
+
+        if (recorder) {
+            // The recorder is inactive after an error, so it needs no stop()
+            recorder.onerror = (event) => {
+                finish();
+                reject(event.error || new Error("Recording the canvas failed"));
+            };
+
+            try {
+                recorder.start();
+            }
+            catch (error) {
+                finish();
+                throw error;
+            }
+        }
+    });
+}
+
+
+/**
+ * Resize the canvas and everything rendering to it. Render targets are
+ * reallocated and any accumulated history is discarded.
+ *
+ * @param width the new width of the canvas in pixels
+ * @param height the new height of the canvas in pixels
+ */
+RenderLoop.prototype.setSize = function(width, height) {
+    this.renderer.setSize(width, height, false /*updateStyle*/);
+
+    if (this.camera.isPerspectiveCamera) {
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+    }
+
+    if (this._modeDefinition.setSize)
+        this._modeDefinition.setSize(this, this._modeState, width, height);
+
+    if (this._comparisonDefinition && this._comparisonDefinition.setSize)
+        this._comparisonDefinition.setSize(this, this._comparisonState, width, height);
+}
+
+
+/**
+ * Add an object and its descendants to the scene on the overlay layer only,
+ * so they are drawn after antialiasing. Lights already in the scene are
+ * enabled on the overlay layer to light it. Lights added later need
+ * RenderLoop.OVERLAY_LAYER enabled to light the overlay as well.
+ *
+ * @param object the object to draw on the overlay
+ */
+RenderLoop.prototype.addOverlayObject = function(object) {
+    object.traverse(child => child.layers.set(RenderLoop.OVERLAY_LAYER));
+    this.scene.add(object);
+
+    this.scene.traverse(child => {
+        if (child.isLight)
+            child.layers.enable(RenderLoop.OVERLAY_LAYER);
+    });
+    this._hasOverlay = true;
+}
+
+
 /**
  * Add a callback to be executed before rendering the frame. Callbacks are run
  * in LIFO order. The callback may be removed by caling cancel() on the
@@ -117,53 +477,215 @@ RenderLoop.prototype.onPostRender = function(callback) {
 
 
 /**
- * Start the render loop
+ * Start the render loop, rendering a frame every animation frame until
+ * stopped
  */
 RenderLoop.prototype.start = function() {
     if (!this._isRendering) {
         this._isRendering = true;
-        this._render(performance.now());
+        this._isPaused = false;
+        this._requestFrames();
+    }
+}
+
+
+/**
+ * Stop the render loop. It may be started again with start().
+ */
+RenderLoop.prototype.stop = function() {
+    this._isRendering = false;
+    this._isPaused = false;
+    this._cancelFrames();
+}
+
+
+/**
+ * Pause a started render loop. Nothing is rendered and time does not advance
+ * until resume() is called, except for frames rendered with step().
+ */
+RenderLoop.prototype.pause = function() {
+    if (this._isRendering && !this._isPaused) {
+        this._isPaused = true;
+        this._cancelFrames();
+    }
+}
+
+
+/**
+ * Resume a paused render loop. Time spent paused is not passed on to the next
+ * frame.
+ */
+RenderLoop.prototype.resume = function() {
+    if (this._isPaused) {
+        this._isPaused = false;
+        this._requestFrames();
+    }
+}
+
+
+/**
+ * Whether the render loop is paused
+ */
+RenderLoop.prototype.isPaused = function() {
+    return this._isPaused;
+}
+
+
+/**
+ * Render a single frame, such as to advance a paused loop one frame at a time
+ *
+ * @param timeDifference optional milliseconds to advance time by. Defaults to
+ *        the fixed frame time, or 60 frames per second without one. 0 renders
+ *        the same moment again, which lets temporal modes converge.
+ */
+RenderLoop.prototype.step = function(timeDifference) {
+    if (timeDifference === undefined)
+        timeDifference = this.fixedFrameTime || 1000 / 60;
+
+    this.renderFrame(timeDifference);
+}
+
+
+/**
+ * Stop the render loop and release everything it owns, including the state of
+ * antialiasing modes, their render targets and the renderer. All render
+ * callbacks are removed, and a capture in progress is rejected. The
+ * RenderLoop can't be used afterwards, but the scene and camera are left
+ * intact.
+ */
+RenderLoop.prototype.dispose = function() {
+    this.stop();
+    if (this._abortCapture)
+        this._abortCapture();
+    this.setComparisonMode(null);
+
+    if (this._modeDefinition.dispose)
+        this._modeDefinition.dispose(this, this._modeState);
+    this._modeDefinition = null;
+    this._modeState = null;
+
+    this._preRenderCallbacks._next = null;
+    this._postRenderCallbacks._next = null;
+    this.renderer.dispose();
+}
+
+
+/**
+ * Render frames every animation frame starting now
+ */
+RenderLoop.prototype._requestFrames = function() {
+    this._lastFameTime = performance.now();
+    this._render(this._lastFameTime);
+}
+
+
+/**
+ * Cancel the next animation frame of the render loop, if any
+ */
+RenderLoop.prototype._cancelFrames = function() {
+    if (this._animationFrame !== null) {
+        cancelAnimationFrame(this._animationFrame);
+        this._animationFrame = null;
     }
 }
 
 
 /**
- * Continually render frames. This cannot be stopped and should not be called
- * multiple times.
+ * Render a frame and request the next one
  * 
  * @param currentTime a high resolution timestamp (ie from performance.Now())
  */
 RenderLoop.prototype._render = function(currentTime) {
-    let timeDifference = currentTime - this._lastFameTime;
+    let timeDifference = this.fixedFrameTime || currentTime - this._lastFameTime;
     this._lastFameTime = currentTime;
+    this._animationFrame = null;
+
+    this.renderFrame(timeDifference);
+
+    // Callbacks may have stopped or paused the loop during the frame
+    if (this._isRendering && !this._isPaused)
+        this._animationFrame = requestAnimationFrame(time => this._render(time));
+}
 
+
+/**
+ * Render a single frame to the canvas, running render callbacks as usual. This
+ * is done every animation frame once started, but may also be called directly
+ * to render frames on demand. The canvas can be read back until control
+ * returns to the browser.
+ *
+ * @param timeDifference milliseconds to advance time by for the frame
+ */
+RenderLoop.prototype.renderFrame = function(timeDifference) {
     for (let current = this._preRenderCallbacks._next; current; current = current._next)
         current.callback(timeDifference);
 
-    switch(this.antialiasing) {
-        case AntiAliasingMode.NONE:
-        case AntiAliasingMode.MSAA:
-            this.renderer.setClearColor(0x000000);
-            this.renderer.render(this.scene, this.camera)
-            break;
-
-        case AntiAliasingMode.SSAA:
-        case AntiAliasingMode.TAA:
-            this._composer.render();
-            break;
-
-        case AntiAliasingMode.MOTION:
-            this._motionVecRenderer.renderMotionMap(100.0 /*colorScale*/);
-            break;
-    }
+    this._modeDefinition.render(this, this._modeState, timeDifference);
+    if (this._comparisonDefinition)
+        this._renderComparison(timeDifference);
+    this._renderOverlay();
 
     for (let current = this._postRenderCallbacks._next; current; current = current._next)
         current.callback();
+}
 
-    requestAnimationFrame(time => this._render(time));
+
+/**
+ * Render the comparison mode over the part of the canvas right of the split.
+ * The scissor only applies to drawing to the canvas, so render targets of the
+ * mode are still rendered in full.
+ *
+ * @param timeDifference milliseconds since the last frame
+ */
+RenderLoop.prototype._renderComparison = function(timeDifference) {
+    let renderer = this.renderer;
+    let {width, height} = renderer.getSize(new THREE.Vector2());
+    let left = Math.round(width * this.comparisonSplit);
+
+    renderer.setScissor(left, 0, width - left, height);
+    renderer.setScissorTest(true);
+    this._comparisonDefinition.render(this, this._comparisonState, timeDifference);
+    renderer.setScissorTest(false);
 }
 
 
+/**
+ * Draw objects on the overlay layer over what was rendered to the canvas.
+ * Visualizations show something other than the image, so get no overlay.
+ */
+RenderLoop.prototype._renderOverlay = function() {
+    let {renderer, scene, camera} = this;
+    if (!this._hasOverlay || this._modeDefinition.visualization)
+        return;
+
+    // Keep the overlay off the part of the canvas showing a visualization
+    let {width, height} = renderer.getSize(new THREE.Vector2());
+    let comparisonVisualization = this._comparisonDefinition && this._comparisonDefinition.visualization;
+    if (comparisonVisualization) {
+        renderer.setScissor(0, 0, Math.round(width * this.comparisonSplit), height);
+        renderer.setScissorTest(true);
+    }
+
+    // A background would be drawn over the antialiased image
+    let cameraLayers = camera.layers.mask;
+    let background = scene.background;
+    let autoClear = renderer.autoClear;
+    camera.layers.set(RenderLoop.OVERLAY_LAYER);
+    scene.background = null;
+    renderer.autoClear = false;
+
+    renderer.setRenderTarget(null);
+    renderer.clearDepth();
+    renderer.render(scene, camera);
+
+    camera.layers.mask = cameraLayers;
+    scene.background = background;
+    renderer.autoClear = autoClear;
+    if (comparisonVisualization)
+        renderer.setScissorTest(false);
+};
+
+
 /**
  * Add a callback to a list of callbacks and return the node (which is also now
  * the head of the list)
@@ -192,19 +714,24 @@ RenderLoop.prototype._addCallbackNode = function(callback, list) {
 
 
 /**
- * Nuke and rebuild the webgl context, recreating the renderer
- * 
- * @param aaMode the antialiasing mode that should be used
+ * Dispose of the state of the current mode of antialiasing and create it
+ * again, discarding anything accumulated from past frames
  */
-RenderLoop.prototype._rebuildGlContext = function(aaMode) {
-    let oldCanvas = this.renderer.domElement;
-    let newCanvas = oldCanvas.cloneNode(true /*deep*/);
-    oldCanvas.parentNode.replaceChild(newCanvas, oldCanvas);
+RenderLoop.prototype._recreateModeState = function() {
+    if (this._modeDefinition.dispose)
+        this._modeDefinition.dispose(this, this._modeState);
 
-    this.renderer = new THREE.WebGLRenderer({
-        canvas: newCanvas,
-        antialias: aaMode == AntiAliasingMode.MSAA
-    });
-    this.renderer.shadowMap.enabled = true;
-    this._composer = new THREE.EffectComposer(this.renderer);
+    this._modeState = this._modeDefinition.create(this);
+}
+
+
+/**
+ * Let the current mode of antialiasing know that shared options have changed
+ */
+RenderLoop.prototype._notifyOptionsChanged = function() {
+    if (this._modeDefinition.optionsChanged)
+        this._modeDefinition.optionsChanged(this, this._modeState);
+
+    if (this._comparisonDefinition && this._comparisonDefinition.optionsChanged)
+        this._comparisonDefinition.optionsChanged(this, this._comparisonState);
 }
@@ -0,0 +1,89 @@
+/**
+ * Effects pass that applies contrast adaptive sharpening to the frame. This is
+ * meant to be chained after a TaaRenderPass to counter the softness of
+ * accumulation. Sharpening is reduced in high contrast areas so edges don't
+ * ring (Based on AMD FidelityFX CAS).
+ *
+ * @param renderLoop the RenderLoop whose renderer is used
+ * @param strength the amount of sharpening between 0 and 1
+ */
+function SharpenPass(renderLoop, strength) {
+    Object.assign(this, new THREE.Pass());
+    this.strength = strength;
+
+    this._targetCopier = new TargetCopier(renderLoop);
+    this._sharpenMaterial = this._baseSharpenMaterial.clone();
+}
+
+SharpenPass.prototype = Object.create(THREE.Pass.prototype);
+
+
+/**
+ * Dispose of the render pass. This must be done before garbage collection in
+ * order to avoid memory leaks
+ */
+SharpenPass.prototype.dispose = function() {
+    this._sharpenMaterial.dispose();
+    this._targetCopier.dispose();
+}
+
+
+/**
+ * Material that sharpens its input based on the contrast of the cross shaped
+ * neighborhood of each pixel. This material is compatible with TargetCopier.
+ */
+SharpenPass.prototype._baseSharpenMaterial = new THREE.ShaderMaterial({
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    depthTest: false,
+    depthWrite: false,
+
+    vertexShader: `
+    varying vec2 Uv;
+
+    void main() {
+        Uv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }`,
+
+    fragmentShader: `
+    uniform float opacity;
+    uniform float strength;
+    uniform float height;
+    uniform float width;
+    uniform sampler2D tDiffuse;
+    varying vec2 Uv;
+
+    void main() {
+        vec2 texelSize = vec2(1.0 / width, 1.0 / height);
+        vec4 center = texture2D(tDiffuse, Uv);
+        vec3 up = texture2D(tDiffuse, Uv + vec2(0.0, texelSize.y)).rgb;
+        vec3 down = texture2D(tDiffuse, Uv - vec2(0.0, texelSize.y)).rgb;
+        vec3 left = texture2D(tDiffuse, Uv - vec2(texelSize.x, 0.0)).rgb;
+        vec3 right = texture2D(tDiffuse, Uv + vec2(texelSize.x, 0.0)).rgb;
+
+        vec3 minNeighbor = min(center.rgb, min(min(up, down), min(left, right)));
+        vec3 maxNeighbor = max(center.rgb, max(max(up, down), max(left, right)));
+
+        // Sharpen less where there is little headroom before clipping
+        vec3 amplitude = sqrt(clamp(min(minNeighbor, 1.0 - maxNeighbor) / max(maxNeighbor, 0.0001), 0.0, 1.0));
+        vec3 weight = amplitude * (-1.0 / mix(8.0, 5.0, strength));
+
+        vec3 sharpened = (center.rgb + weight * (up + down + left + right)) / (1.0 + 4.0 * weight);
+        gl_FragColor = opacity * vec4(clamp(sharpened, 0.0, 1.0), center.a);
+    }`
+});
+
+
+/**
+ * Render the frame to the writeBuffer or to the screen if this.renderToScreen
+ * is set.
+ */
+SharpenPass.prototype.render = function(renderer, writeBuffer, readBuffer) {
+    let uniforms = this._sharpenMaterial.uniforms;
+    uniforms.strength = {value: this.strength};
+    uniforms.width = {value: readBuffer.width};
+    uniforms.height = {value: readBuffer.height};
+
+    this._targetCopier.copy(readBuffer, this.renderToScreen ? null : writeBuffer, this._sharpenMaterial);
+}
@@ -1,52 +1,300 @@
+/**
+ * An intermediate output of the TaaRenderPass that may be shown in place of
+ * the antialiased frame
+ * @enum
+ */
+const TaaDebugView = {
+    NONE: 0,
+
+    // How much history is trusted based on depth, from black to white
+    CONFIDENCE: 1,
+
+    // Weight given to history in the final blend, from black to white
+    HISTORY_WEIGHT: 2,
+
+    // How far rectification moved history toward the current frame
+    CLAMPING: 3,
+
+    // Pixels whose history was rejected, red where it was disoccluded and
+    // blue where it was off screen
+    REJECTION: 4,
+
+    // The jitter offset of the frame as a color, with the position of the
+    // sample inside a pixel plotted in the top left corner
+    JITTER: 5,
+
+    // The jittered frame before any accumulation
+    RAW: 6,
+}
+
+
+/**
+ * A strategy used to reject stale history by comparing it against the
+ * neighborhood of the current frame
+ * @enum
+ */
+const HistoryRectificationMode = {
+    RGB_CLAMP: 0,
+    AABB_CLIP: 1,
+    VARIANCE_CLIP: 2,
+}
+
+
+/**
+ * A filter used to sample history at its reprojected position
+ * @enum
+ */
+const HistoryFilter = {
+    BILINEAR: 0,
+    CATMULL_ROM_5: 1,
+    CATMULL_ROM_9: 2,
+}
+
+
+/**
+ * A sequence of subpixel offsets used to jitter the projection each frame
+ * @enum
+ */
+const JitterPattern = {
+    HALTON: 0,
+    R2: 1,
+    ROTATED_GRID: 2,
+    RANDOM: 3,
+}
+
+
 /**
  * Effects pass that renders the scene with temporal antialising applied. This
  * is somewhat based on the existing Three.js TAARenderPass but is much less
  * garbage. This version is sutiable for moving scenes and does basic motion
  * vector based image reprojection.
  *
+ * When given a render scale below 1, the scene is rendered at a fraction of
+ * the output resolution and the pass doubles as a temporal upsampler,
+ * accumulating jittered samples into a full resolution history.
+ *
+ * Accumulation happens on linear HDR color, so the output should be written
+ * to a float target and tonemapped afterwards with a TonemapPass.
+ *
  * @param renderLoop the RenderLoop whose scene is used
- * @param numFrames the number of frames to accumulate
+ * @param options optional settings for the pass. See setOptions()
  */
-function TaaRenderPass(renderLoop) {
-    this.renderToScreen = false;
+function TaaRenderPass(renderLoop, options) {
+    // THREE.Pass is a class, so its fields are copied from an instance
+    Object.assign(this, new THREE.Pass());
 
     this._renderLoop = renderLoop;
+    this._options = Object.assign({}, this._defaultOptions, options);
     this._reprojectionMaterial = this._baseReprojectionMaterial.clone();
+    this._reprojectionMaterial.defines = Object.assign({}, this._baseReprojectionMaterial.defines);
+    this._debugMaterial = this._baseReprojectionMaterial.clone();
+    this._debugMaterial.uniforms = this._reprojectionMaterial.uniforms;
+    this._debugMaterial.defines = Object.assign({}, this._baseReprojectionMaterial.defines);
     this._targetCopier = new TargetCopier(renderLoop);
     this._vecRenderer = new MotionVectorRenderer(renderLoop);
     this._jitterIndex = 0;
+    this._lastCameraMatrix = null;
 
-    // Use Halton Sequence [2, 3] for jitter amounts (Based on UE and
-    // Uncharted Presentations)
-    this._jitterOffsets = this._generateHaltonJiters(16);
+    // Render color and motion together using multiple render targets where
+    // supported, falling back to a separate motion pass
+    this._singlePass = this._vecRenderer.supportsSinglePass();
+    this._jitterOffsets = this._generateJitters();
 
-    // Use FP for history buffer and motion map
-    let {width, height} = renderLoop.renderer.getSize();
-    this._scratchBuffer = new THREE.WebGLRenderTarget(width, height, {
-        format: THREE.RGBFormat,
-        type: THREE.FloatType
-    });
-    this._vecRenderTarget = new THREE.WebGLRenderTarget(width, height, {
-        format: THREE.RGBFormat,
-        type: THREE.FloatType
-    });
+    let {width, height} = renderLoop.renderer.getSize(new THREE.Vector2());
+    this._createTargets(width, height);
 }
 
 TaaRenderPass.prototype = Object.create(THREE.Pass.prototype);
 
 
+/**
+ * Most extra frames rendered to build up history after it is seeded. History
+ * starts from a full resolution frame, so this only needs to cover the start
+ * of the jitter sequence, which is much longer when upsampling.
+ */
+TaaRenderPass._maxWarmupFrames = 8;
+
+
+/**
+ * Settings used for any option not given to the pass
+ */
+TaaRenderPass.prototype._defaultOptions = {
+    // Fraction of the output resolution to render the scene at
+    renderScale: 1.0,
+
+    // The JitterPattern used to generate subpixel offsets
+    jitterPattern: JitterPattern.HALTON,
+
+    // Number of offsets in the jitter sequence at full resolution. This is
+    // scaled by the square of the upscale ratio when upsampling so each output
+    // pixel sees as many samples.
+    sequenceLength: 16,
+
+    // Multiplier for the size of jitter offsets, where 1 covers a full pixel
+    jitterScale: 1.0,
+
+    // Range of weights given to history when blending with the current frame
+    minFeedback: 0.95,
+    maxFeedback: 1.0,
+
+    // Whether feedback is lowered in areas of high local contrast to reduce
+    // flickering. When disabled, minFeedback is always used.
+    contrastWeighting: true,
+
+    // The HistoryRectificationMode used to reject stale history
+    rectificationMode: HistoryRectificationMode.RGB_CLAMP,
+
+    // Number of standard deviations around the neighborhood mean that history
+    // is clipped to when using HistoryRectificationMode.VARIANCE_CLIP
+    varianceClipGamma: 1.0,
+
+    // The HistoryFilter used to sample history. Bilinear filtering softens
+    // the image a little more every frame, while Catmull-Rom keeps it sharp.
+    historyFilter: HistoryFilter.BILINEAR,
+
+    // Relative difference in linear depth at which history is fully rejected
+    depthRejectionThreshold: 0.1,
+
+    // Whether FXAA is applied to the current frame and used in place of it
+    // where history is rejected, and to seed history on the first frame
+    spatialFallback: false,
+
+    // Whether samples are weighted by inverse luminance when blending, so
+    // bright HDR samples don't dominate and flicker
+    luminanceWeighting: true,
+
+    // Frame time in milliseconds the feedback options are tuned for. Feedback
+    // is scaled for other frame times so history fades at the same rate in
+    // real time at any refresh rate. 0 applies feedback as is every frame.
+    referenceFrameTime: 1000 / 60,
+
+    // The TaaDebugView shown in place of the antialiased frame
+    debugView: TaaDebugView.NONE,
+
+    // Movement of the camera in world units, and rotation in radians, between
+    // two frames which is treated as a cut and discards history. Infinity
+    // disables detection.
+    cutTranslationThreshold: 5.0,
+    cutRotationThreshold: Math.PI / 6,
+};
+
+
+/**
+ * Change options of the pass. Options not given keep their current value.
+ * This may be done at any time without re-creating the pass.
+ *
+ * @param options an object containing any of
+ *        - renderScale: fraction of the output resolution to render at
+ *        - jitterPattern: the JitterPattern used for subpixel offsets
+ *        - sequenceLength: number of jitter offsets at full resolution
+ *        - jitterScale: multiplier for the size of jitter offsets
+ *        - minFeedback: lowest weight given to history when blending
+ *        - maxFeedback: highest weight given to history when blending
+ *        - contrastWeighting: whether feedback is based on local contrast
+ *        - rectificationMode: the HistoryRectificationMode to use
+ *        - varianceClipGamma: size of the clipping box for variance clipping
+ *        - historyFilter: the HistoryFilter used to sample history
+ *        - depthRejectionThreshold: depth difference that rejects history
+ *        - spatialFallback: whether FXAA covers areas without history
+ *        - luminanceWeighting: whether blending uses inverse luminance weights
+ *        - referenceFrameTime: frame time in milliseconds feedback is tuned for
+ *        - debugView: the TaaDebugView to show
+ *        - cutTranslationThreshold: camera movement detected as a cut
+ *        - cutRotationThreshold: camera rotation in radians detected as a cut
+ */
+TaaRenderPass.prototype.setOptions = function(options) {
+    let oldOptions = this._options;
+    this._options = Object.assign({}, oldOptions, options);
+
+    if (this._options.renderScale != oldOptions.renderScale) {
+        let {width, height} = this._renderLoop.renderer.getSize(new THREE.Vector2());
+        this.setSize(width, height);
+    }
+
+    if (this._options.renderScale != oldOptions.renderScale
+        || this._options.jitterPattern != oldOptions.jitterPattern
+        || this._options.sequenceLength != oldOptions.sequenceLength
+        || this._options.jitterScale != oldOptions.jitterScale) {
+        this._jitterOffsets = this._generateJitters();
+        this._jitterIndex = 0;
+    }
+}
+
+
+/**
+ * Get a copy of the current options of the pass
+ */
+TaaRenderPass.prototype.getOptions = function() {
+    return Object.assign({}, this._options);
+}
+
+
 /**
  * Dispose of the render pass. This must be done before garbage collection in
  * order to avoid memory leaks
  */
 TaaRenderPass.prototype.dispose = function() {
-    if (this._oldFrameTarget)
-        this._oldFrameTarget.dispose();
+    this._disposeTargets();
     this._reprojectionMaterial.dispose();
-    this._scratchBuffer.dispose();
+    this._debugMaterial.dispose();
+    if (this._fxaaMaterial)
+        this._fxaaMaterial.dispose();
     this._targetCopier.dispose();
     this._vecRenderer.dispose();
-    this._vecRenderTarget.dispose();
+}
+
+
+/**
+ * Resize the pass to a new output resolution. Render targets are reallocated
+ * and history is discarded, to be rebuilt on the next render.
+ *
+ * @param width the new width of the output
+ * @param height the new height of the output
+ */
+TaaRenderPass.prototype.setSize = function(width, height) {
+    this._disposeTargets();
+    this._createTargets(width, height);
+    this._vecRenderer.setSize(width, height);
+}
+
+
+/**
+ * Discard accumulated history, which is re-seeded on the next render the same
+ * way as when the pass is first used. This should be called when the view
+ * changes abruptly, such as when the camera teleports.
+ */
+TaaRenderPass.prototype.resetHistory = function() {
+    if (this._oldFrameTarget) {
+        this._oldFrameTarget.dispose();
+        this._oldFrameTarget = null;
+    }
+
+    this._vecRenderer.resetMotion();
+    this._jitterIndex = 0;
+}
+
+
+/**
+ * Whether the camera has moved or turned far enough since the last frame for
+ * the change to be a cut rather than motion
+ *
+ * @param camera the camera being rendered with
+ */
+TaaRenderPass.prototype._isCameraCut = function(camera) {
+    let lastMatrix = this._lastCameraMatrix;
+    this._lastCameraMatrix = camera.matrixWorld.clone();
+    if (!lastMatrix)
+        return false;
+
+    let lastPosition = new THREE.Vector3().setFromMatrixPosition(lastMatrix);
+    let position = new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld);
+    if (position.distanceTo(lastPosition) > this._options.cutTranslationThreshold)
+        return true;
+
+    let lastRotation = new THREE.Quaternion().setFromRotationMatrix(lastMatrix);
+    let rotation = new THREE.Quaternion().setFromRotationMatrix(camera.matrixWorld);
+    let cosHalfAngle = Math.min(Math.abs(lastRotation.dot(rotation)), 1);
+    return 2 * Math.acos(cosHalfAngle) > this._options.cutRotationThreshold;
 }
 
 
@@ -59,6 +307,15 @@ TaaRenderPass.prototype._baseReprojectionMaterial = new THREE.ShaderMaterial({
     blending: THREE.AdditiveBlending,
     depthTest: false,
     depthWrite: false,
+    defines: {
+        DEBUG_VIEW: TaaDebugView.NONE,
+        RECTIFICATION: HistoryRectificationMode.RGB_CLAMP,
+        CONTRAST_WEIGHTING: 1,
+        HISTORY_FILTER: HistoryFilter.BILINEAR,
+        SPATIAL_FALLBACK: 0,
+        UPSAMPLE: 0,
+        LUMINANCE_WEIGHTING: 1
+    },
 
     vertexShader: `
     varying vec2 Uv;
@@ -69,47 +326,276 @@ TaaRenderPass.prototype._baseReprojectionMaterial = new THREE.ShaderMaterial({
     }`,
 
     fragmentShader: `
+    #include <packing>
+    ${MotionVectorRenderer.velocityShaderChunk}
+
     uniform float opacity;
-    uniform float numFrames;
     uniform float height;
     uniform float width;
     uniform sampler2D tDiffuse;
     uniform sampler2D tMotion;
+    uniform sampler2D tDepth;
+    uniform sampler2D tLastDepth;
     uniform sampler2D tLastFrame;
+    uniform sampler2D tSpatial;
+    uniform float cameraNear;
+    uniform float cameraFar;
+    uniform float depthRejectionThreshold;
+    uniform float varianceClipGamma;
+    uniform float minFeedback;
+    uniform float maxFeedback;
+    uniform vec2 historySize;
+    uniform vec2 jitter;
     varying vec2 Uv;
 
+    float luminance(vec3 color) {
+        return dot(color, vec3(0.2126, 0.7152, 0.0722));
+    }
+
+    // Compress HDR color into a range where differences are perceptually
+    // meaningful (Based on Karis' SIGGRAPH 2014 talk)
+    vec3 compressRange(vec3 color) {
+        return color / (1.0 + luminance(color));
+    }
+
+    vec3 RGBToYCoCg(vec3 color) {
+        return vec3(
+            0.25 * color.r + 0.5 * color.g + 0.25 * color.b,
+            0.5 * color.r - 0.5 * color.b,
+            -0.25 * color.r + 0.5 * color.g - 0.25 * color.b);
+    }
+
+    vec3 YCoCgToRGB(vec3 color) {
+        return vec3(
+            color.x + color.y - color.z,
+            color.x + color.z,
+            color.x - color.y - color.z);
+    }
+
+    // Clip a color toward the center of an AABB instead of clamping each
+    // channel, which keeps the hue of the history intact (Based on Inside)
+    vec3 clipToAABB(vec3 color, vec3 aabbMin, vec3 aabbMax) {
+        vec3 center = 0.5 * (aabbMax + aabbMin);
+        vec3 extents = 0.5 * (aabbMax - aabbMin) + 0.0001;
+        vec3 offset = color - center;
+        vec3 unitOffset = abs(offset / extents);
+        float maxUnitOffset = max(unitOffset.x, max(unitOffset.y, unitOffset.z));
+
+        return maxUnitOffset > 1.0 ? center + offset / maxUnitOffset : color;
+    }
+
+    // Find the texel in the 3x3 neighborhood closest to the camera. Using its
+    // motion vector lets the edges of moving objects reproject along with the
+    // object instead of with the background (Based on UE4 and Inside).
+    vec2 closestDepthUv(out float closestDepth) {
+        vec2 closestUv = Uv;
+        closestDepth = 1.0;
+
+        for (int x = -1; x <= 1; x++) {
+            for (int y = -1; y <= 1; y++) {
+                vec2 neighborUv = Uv + vec2(float(x) / width, float(y) / height);
+                float neighborDepth = texture2D(tDepth, neighborUv).x;
+
+                if (neighborDepth < closestDepth) {
+                    closestDepth = neighborDepth;
+                    closestUv = neighborUv;
+                }
+            }
+        }
+
+        return closestUv;
+    }
+
+    float linearDepth(float depth) {
+        return -perspectiveDepthToViewZ(depth, cameraNear, cameraFar);
+    }
+
+    // Estimate how much the history at oldPixelUv can be trusted by comparing
+    // the depth of this frame with the depth of the last frame at the
+    // reprojected position. Surfaces that were just uncovered, or that were
+    // off screen, have no valid history.
+    float historyConfidence(vec2 oldPixelUv, float currentDepth) {
+        if (any(lessThan(oldPixelUv, vec2(0.0))) || any(greaterThan(oldPixelUv, vec2(1.0))))
+            return 0.0;
+
+        float depth = linearDepth(currentDepth);
+        float lastDepth = linearDepth(texture2D(tLastDepth, oldPixelUv).x);
+        float depthDifference = abs(depth - lastDepth) / max(depth, lastDepth);
+
+        return 1.0 - smoothstep(0.5 * depthRejectionThreshold, depthRejectionThreshold, depthDifference);
+    }
+
+    // Sample history with a Catmull-Rom filter, using bilinear filtering to
+    // fetch two texels per tap (Based on MJP's implementation). The 5 tap
+    // version drops the corners, which contribute very little.
+    vec4 sampleHistoryCatmullRom(vec2 uv) {
+        vec2 samplePosition = uv * historySize;
+        vec2 texelPosition1 = floor(samplePosition - 0.5) + 0.5;
+        vec2 f = samplePosition - texelPosition1;
+
+        vec2 w0 = f * (-0.5 + f * (1.0 - 0.5 * f));
+        vec2 w1 = 1.0 + f * f * (-2.5 + 1.5 * f);
+        vec2 w2 = f * (0.5 + f * (2.0 - 1.5 * f));
+        vec2 w3 = f * f * (-0.5 + 0.5 * f);
+        vec2 w12 = w1 + w2;
+
+        vec2 uv0 = (texelPosition1 - 1.0) / historySize;
+        vec2 uv3 = (texelPosition1 + 2.0) / historySize;
+        vec2 uv12 = (texelPosition1 + w2 / w12) / historySize;
+
+        vec4 result = texture2D(tLastFrame, vec2(uv12.x, uv0.y)) * w12.x * w0.y;
+        result += texture2D(tLastFrame, vec2(uv0.x, uv12.y)) * w0.x * w12.y;
+        result += texture2D(tLastFrame, uv12) * w12.x * w12.y;
+        result += texture2D(tLastFrame, vec2(uv3.x, uv12.y)) * w3.x * w12.y;
+        result += texture2D(tLastFrame, vec2(uv12.x, uv3.y)) * w12.x * w3.y;
+
+    #if HISTORY_FILTER == ${HistoryFilter.CATMULL_ROM_5}
+        float totalWeight = w12.x * w0.y + w0.x * w12.y + w12.x * w12.y + w3.x * w12.y + w12.x * w3.y;
+        result /= totalWeight;
+    #else
+        result += texture2D(tLastFrame, uv0) * w0.x * w0.y;
+        result += texture2D(tLastFrame, vec2(uv3.x, uv0.y)) * w3.x * w0.y;
+        result += texture2D(tLastFrame, vec2(uv0.x, uv3.y)) * w0.x * w3.y;
+        result += texture2D(tLastFrame, uv3) * w3.x * w3.y;
+    #endif
+
+        // The negative lobes can push dark texels below zero
+        return max(result, 0.0);
+    }
+
     void main() {
+        vec2 inputSize = vec2(width, height);
+
+    #if UPSAMPLE
+        // Find the input texel whose jittered sample is closest to this output
+        // pixel and weight it by distance (Based on the UE4 TAAU filter)
+        vec2 inputPosition = Uv * inputSize;
+        vec2 inputTexel = floor(inputPosition - jitter) + 0.5;
+        vec2 sampleOffset = inputPosition - (inputTexel + jitter);
+        float sampleWeight = exp(-2.29 * dot(sampleOffset, sampleOffset));
+        vec4 texel = texture2D(tDiffuse, inputTexel / inputSize);
+    #else
+        float sampleWeight = 1.0;
         vec4 texel = texture2D(tDiffuse, Uv);
-        vec4 pixelMovement = texture2D(tMotion, Uv);
-        vec2 oldPixelUv = Uv - ((pixelMovement.xy * 2.0) - 1.0);
-        vec4 oldTexel = texture2D(tLastFrame, oldPixelUv);
+    #endif
 
-        // Use simple neighbor clamping
-        vec4 maxNeighbor = vec4(0.0, 0.0, 0.0, 1.0);
-        vec4 minNeighbor = vec4(1.0);
+        float currentDepth;
+        vec2 velocity = decodeVelocity(texture2D(tMotion, closestDepthUv(currentDepth)));
+        vec2 oldPixelUv = Uv - velocity;
+    #if HISTORY_FILTER == ${HistoryFilter.BILINEAR}
+        vec4 oldTexel = texture2D(tLastFrame, oldPixelUv);
+    #else
+        vec4 oldTexel = sampleHistoryCatmullRom(oldPixelUv);
+    #endif
+        float confidence = historyConfidence(oldPixelUv, currentDepth);
+
+        // Gather the bounds and moments of the neighborhood. Input is linear
+        // HDR, so bounds start from the center rather than an assumed range.
+        vec4 rawTexel = texture2D(tDiffuse, Uv);
+        vec4 minNeighbor = rawTexel;
+        vec4 maxNeighbor = minNeighbor;
         vec4 average = vec4(0.0);
+        vec3 firstMoment = vec3(0.0);
+        vec3 secondMoment = vec3(0.0);
 
         for (int x = -1; x <= 1; x++) {
             for (int y = -1; y <= 1; y++) {
                 vec2 neighborUv = Uv + vec2(float(x) / width, float(y) / height);
                 vec4 neighborTexel = texture2D(tDiffuse, neighborUv);
+                vec3 neighborYCoCg = RGBToYCoCg(neighborTexel.rgb);
 
                 maxNeighbor = max(maxNeighbor, neighborTexel);
                 minNeighbor = min(minNeighbor, neighborTexel);
                 average += neighborTexel / 9.0;
+                firstMoment += neighborYCoCg;
+                secondMoment += neighborYCoCg * neighborYCoCg;
             }
         }
 
+        vec4 unrectifiedTexel = oldTexel;
 
+    #if RECTIFICATION == ${HistoryRectificationMode.RGB_CLAMP}
         oldTexel = clamp(oldTexel, minNeighbor, maxNeighbor);
-
+    #elif RECTIFICATION == ${HistoryRectificationMode.AABB_CLIP}
+        oldTexel.rgb = clipToAABB(oldTexel.rgb, minNeighbor.rgb, maxNeighbor.rgb);
+    #else
+        // Variance clipping (Based on Salvi's GDC 2016 talk)
+        vec3 mean = firstMoment / 9.0;
+        vec3 deviation = sqrt(max(secondMoment / 9.0 - mean * mean, 0.0));
+        vec3 oldYCoCg = RGBToYCoCg(oldTexel.rgb);
+        oldYCoCg = clipToAABB(oldYCoCg, mean - varianceClipGamma * deviation, mean + varianceClipGamma * deviation);
+        oldTexel.rgb = YCoCgToRGB(oldYCoCg);
+    #endif
+
+    #if CONTRAST_WEIGHTING
         // UE Method to get rid of flickering. Weight frame mixing amount
         // based on local contrast.
-        float contrast = distance(average, texel);
-        float weight = 0.05 * contrast;
+        float contrast = distance(compressRange(average.rgb), compressRange(texel.rgb));
+        float feedback = mix(maxFeedback, minFeedback, clamp(contrast, 0.0, 1.0));
+    #else
+        float feedback = minFeedback;
+    #endif
+
+        float weight = (1.0 - feedback) * sampleWeight;
+
+        // Fall back to the current frame where history was rejected
+        weight = mix(1.0, weight, confidence);
+
+        // Reactive content changes in ways motion does not describe, so
+        // leans on the current frame
+        weight = mix(weight, 1.0, decodeReactive(texture2D(tMotion, Uv)));
+
+    #if SPATIAL_FALLBACK
+        // Without history to rely on, use the spatially antialiased frame in
+        // place of the raw jittered one
+        texel = mix(texture2D(tSpatial, Uv), texel, confidence);
+    #endif
+
+    #if LUMINANCE_WEIGHTING
+        // Weight each sample by inverse luminance, so a single bright sample
+        // can't dominate the accumulated result and cause fireflies
+        float historyWeight = (1.0 - weight) / (1.0 + luminance(oldTexel.rgb));
+        float currentWeight = weight / (1.0 + luminance(texel.rgb));
+        vec4 compositeColor = (oldTexel * historyWeight + texel * currentWeight)
+            / max(historyWeight + currentWeight, 0.0001);
+        float historyBlend = historyWeight / max(historyWeight + currentWeight, 0.0001);
+    #else
         vec4 compositeColor = mix(oldTexel, texel, weight);
+        float historyBlend = 1.0 - weight;
+    #endif
+
+    #if DEBUG_VIEW == ${TaaDebugView.CONFIDENCE}
+        gl_FragColor = vec4(vec3(confidence), 1.0);
+    #elif DEBUG_VIEW == ${TaaDebugView.HISTORY_WEIGHT}
+        gl_FragColor = vec4(vec3(historyBlend), 1.0);
+    #elif DEBUG_VIEW == ${TaaDebugView.CLAMPING}
+        // Compare in compressed range so bright pixels don't saturate the view
+        float clamping = distance(compressRange(unrectifiedTexel.rgb), compressRange(oldTexel.rgb));
+        gl_FragColor = vec4(vec3(clamp(4.0 * clamping, 0.0, 1.0)), 1.0);
+    #elif DEBUG_VIEW == ${TaaDebugView.REJECTION}
+        bool offScreen = any(lessThan(oldPixelUv, vec2(0.0))) || any(greaterThan(oldPixelUv, vec2(1.0)));
+        vec3 rejectionColor = offScreen ? vec3(0.0, 0.0, 1.0) : vec3(1.0, 0.0, 0.0);
+        vec3 background = vec3(0.25 * luminance(compressRange(rawTexel.rgb)));
+        gl_FragColor = vec4(mix(background, rejectionColor, 1.0 - confidence), 1.0);
+    #elif DEBUG_VIEW == ${TaaDebugView.JITTER}
+        // The jitter is at most half an input pixel in each direction. The plot
+        // is drawn in output pixels from the top left, so y is flipped.
+        vec2 plotPosition = (vec2(Uv.x, 1.0 - Uv.y) * historySize - 16.0) / 128.0;
+        vec2 samplePosition = vec2(0.5 + jitter.x, 0.5 - jitter.y);
+        vec3 jitterColor = vec3(0.5 + jitter, 0.5);
+
+        if (all(greaterThanEqual(plotPosition, vec2(0.0))) && all(lessThanEqual(plotPosition, vec2(1.0)))) {
+            bool isAxis = any(lessThan(abs(plotPosition - 0.5), vec2(0.005)));
+            bool isSample = distance(plotPosition, samplePosition) < 0.05;
+            jitterColor = isSample ? vec3(1.0) : vec3(isAxis ? 0.3 : 0.1);
+        }
 
+        gl_FragColor = vec4(jitterColor, 1.0);
+    #elif DEBUG_VIEW == ${TaaDebugView.RAW}
+        gl_FragColor = vec4(rawTexel.rgb, 1.0);
+    #else
         gl_FragColor = opacity * compositeColor;
+    #endif
     }`
 });
 
@@ -117,50 +603,312 @@ TaaRenderPass.prototype._baseReprojectionMaterial = new THREE.ShaderMaterial({
 /**
  * Render the frame to the writeBuffer or to the screen if this.renderToScreen
  * is set.
+ *
+ * @param delta optional milliseconds since the last frame, used to keep the
+ *        speed history fades at independent of frame rate
  */
-TaaRenderPass.prototype.render = function (renderer, writeBuffer, readBuffer) {
-    let {width, height} = renderer.getSize();
+TaaRenderPass.prototype.render = function (renderer, writeBuffer, readBuffer, delta) {
+    let {width, height} = renderer.getSize(new THREE.Vector2());
     let {scene, camera} = this._renderLoop;
 
-    // Render this a few times if we've just been enabled
+    // History is accumulated in linear HDR, so tonemapping must come after
+    let toneMapping = renderer.toneMapping;
+    renderer.toneMapping = THREE.NoToneMapping;
+
+    camera.updateMatrixWorld();
+    if (this._isCameraCut(camera))
+        this.resetHistory();
+
+    // Seed history and render a few times if we've just been enabled
     if (!this._oldFrameTarget) {
         this._oldFrameTarget = new THREE.WebGLRenderTarget(width, height, {
-            format: THREE.RGBFormat,
-            type: THREE.FloatType
+            format: THREE.RGBAFormat,
+            type: THREE.HalfFloatType
         });
+        renderer.setRenderTarget(this._oldFrameTarget);
         renderer.setClearColor(0x000000);
-        renderer.render(scene, camera, this._oldFrameTarget);
+        renderer.render(scene, camera);
 
-        for (let i = 0; i < this._jitterOffsets.length - 1; i++)
+        if (this._options.spatialFallback) {
+            this._renderSpatialFallback(this._oldFrameTarget, this._scratchBuffer);
+            this._targetCopier.copy(this._scratchBuffer, this._oldFrameTarget);
+        }
+
+        let warmupFrames = Math.min(this._jitterOffsets.length - 1, TaaRenderPass._maxWarmupFrames);
+        for (let i = 0; i < warmupFrames; i++)
             this.render(renderer, writeBuffer, readBuffer);
     }
 
 
-    this._vecRenderer.renderMotionMap(1.0 /*colorScale*/, this._vecRenderTarget);
+    let {width: inputWidth, height: inputHeight} = this._vecRenderTarget;
+    if (!this._singlePass)
+        this._vecRenderer.renderMotionMap(this._vecRenderTarget);
 
-    // Apply a jitter to the projection matrix
+    // Move the sample of every input pixel by the jitter, in input pixels. A
+    // jitter of 1 moves it by half a pixel. Offsetting the projection is the
+    // same as shifting the frustum window, so a positive offset moves the
+    // sample right (or up) and the image itself the other way, since the
+    // perspective divide is by -z.
     let [jitterX, jitterY] = this._jitterOffsets[this._jitterIndex];
-    camera.projectionMatrix.elements[8] = jitterX / width;
-    camera.projectionMatrix.elements[9] = jitterY / height;
+    let jitter = new THREE.Vector2(jitterX / 2, jitterY / 2);
+    let unjitteredProjection = camera.projectionMatrix.clone();
+    camera.projectionMatrix.elements[8] = 2 * jitter.x / inputWidth;
+    camera.projectionMatrix.elements[9] = 2 * jitter.y / inputHeight;
+
+    let inputTarget;
+    if (this._singlePass) {
+        this._vecRenderer.renderColorAndMotion(this._vecRenderTarget, unjitteredProjection);
+        inputTarget = {texture: this._vecRenderTarget.texture[0], width: inputWidth, height: inputHeight};
+    }
+    else {
+        // Since this is the first pass we can render to the read buffer and
+        // avoid needing to create an extra render target when not upsampling
+        inputTarget = this._isUpsampling() ? this._inputTarget : readBuffer;
+        renderer.setRenderTarget(inputTarget);
+        renderer.setClearColor(0x000000);
+        renderer.render(scene, camera);
+    }
 
-    // Since this is the first pass we can render to the read buffer and avoid
-    // needing to create an extra render target
-    renderer.setClearColor(0x000000);
-    renderer.render(scene, camera, readBuffer);
     camera.updateProjectionMatrix();
     this._jitterIndex = (this._jitterIndex + 1) % this._jitterOffsets.length;
 
+    let options = this._options;
+    if (options.spatialFallback) {
+        if (!this._spatialTarget) {
+            this._spatialTarget = new THREE.WebGLRenderTarget(inputTarget.width, inputTarget.height, {
+                format: THREE.RGBAFormat,
+                type: THREE.HalfFloatType
+            });
+        }
+
+        this._renderSpatialFallback(inputTarget, this._spatialTarget);
+    }
+
     // Reporoject the frame
     let uniforms = this._reprojectionMaterial.uniforms;
-    uniforms.numFrames = {value: this._numFrames};
-    uniforms.tMotion = {value: this._vecRenderTarget.texture};
+    uniforms.tMotion = {value: this._motionTexture(this._vecRenderTarget)};
+    uniforms.tDepth = {value: this._vecRenderTarget.depthTexture};
+    uniforms.tLastDepth = {value: this._lastVecRenderTarget.depthTexture};
     uniforms.tLastFrame = {value: this._oldFrameTarget.texture};
-    uniforms.height = {value: readBuffer.height};
-    uniforms.width = {value: readBuffer.width};
+    uniforms.tSpatial = {value: options.spatialFallback ? this._spatialTarget.texture : null};
+    uniforms.height = {value: inputTarget.height};
+    uniforms.width = {value: inputTarget.width};
+
+    // Where the sample of each input pixel was taken, relative to its center
+    uniforms.jitter = {value: jitter};
+    uniforms.cameraNear = {value: camera.near};
+    uniforms.cameraFar = {value: camera.far};
+    uniforms.depthRejectionThreshold = {value: options.depthRejectionThreshold};
+    uniforms.varianceClipGamma = {value: options.varianceClipGamma};
+    let feedbackExponent = this._feedbackExponent(delta);
+    uniforms.minFeedback = {value: Math.pow(options.minFeedback, feedbackExponent)};
+    uniforms.maxFeedback = {value: Math.pow(options.maxFeedback, feedbackExponent)};
+    uniforms.historySize = {value: new THREE.Vector2(this._oldFrameTarget.width, this._oldFrameTarget.height)};
+
+    let defines = {
+        RECTIFICATION: options.rectificationMode,
+        CONTRAST_WEIGHTING: options.contrastWeighting ? 1 : 0,
+        HISTORY_FILTER: options.historyFilter,
+        SPATIAL_FALLBACK: options.spatialFallback ? 1 : 0,
+        UPSAMPLE: this._isUpsampling() ? 1 : 0,
+        LUMINANCE_WEIGHTING: options.luminanceWeighting ? 1 : 0
+    };
+    this._setDefines(this._reprojectionMaterial, defines);
+    this._setDefines(this._debugMaterial, Object.assign({DEBUG_VIEW: options.debugView}, defines));
+
+    let outputTarget = this.renderToScreen ? null : writeBuffer;
+    this._targetCopier.copy(inputTarget, this._scratchBuffer, this._reprojectionMaterial);
+
+    // Debug views need the history of the last frame, so render them before
+    // it is overwritten
+    if (options.debugView != TaaDebugView.NONE)
+        this._targetCopier.copy(inputTarget, outputTarget, this._debugMaterial);
 
-    this._targetCopier.copy(readBuffer, this._scratchBuffer, this._reprojectionMaterial);
     this._targetCopier.copy(this._scratchBuffer, this._oldFrameTarget);
-    this._targetCopier.copy(this._oldFrameTarget, this.renderToScreen ? null : writeBuffer);
+    if (options.debugView == TaaDebugView.NONE)
+        this._targetCopier.copy(this._oldFrameTarget, outputTarget);
+
+    [this._vecRenderTarget, this._lastVecRenderTarget] = [this._lastVecRenderTarget, this._vecRenderTarget];
+    renderer.toneMapping = toneMapping;
+}
+
+
+/**
+ * Get the power feedback is raised to for a frame, so that history decays by
+ * the same amount over the same time whether it is spread over few or many
+ * frames
+ *
+ * @param delta milliseconds since the last frame, if known
+ */
+TaaRenderPass.prototype._feedbackExponent = function(delta) {
+    let referenceFrameTime = this._options.referenceFrameTime;
+    if (!referenceFrameTime || !(delta > 0))
+        return 1;
+
+    // Long stalls would otherwise throw away history entirely
+    return Math.min(delta / referenceFrameTime, 4);
+}
+
+
+/**
+ * Apply FXAA to a frame
+ *
+ * @param source the render target holding the frame
+ * @param dest the render target to write the antialiased frame to
+ */
+TaaRenderPass.prototype._renderSpatialFallback = function(source, dest) {
+    if (!this._fxaaMaterial) {
+        this._fxaaMaterial = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.clone(THREE.FXAAShader.uniforms),
+            vertexShader: THREE.FXAAShader.vertexShader,
+            fragmentShader: THREE.FXAAShader.fragmentShader
+        });
+    }
+
+    this._fxaaMaterial.uniforms.resolution.value.set(1 / source.width, 1 / source.height);
+    this._targetCopier.copy(source, dest, this._fxaaMaterial);
+}
+
+
+/**
+ * Whether the scene is rendered below the output resolution
+ */
+TaaRenderPass.prototype._isUpsampling = function() {
+    return this._options.renderScale < 1.0;
+}
+
+
+/**
+ * Set shader defines on a material, recompiling it only if one has changed
+ *
+ * @param material the material to update
+ * @param defines an object of defines to set
+ */
+TaaRenderPass.prototype._setDefines = function(material, defines) {
+    for (let name in defines) {
+        if (material.defines[name] != defines[name]) {
+            material.defines[name] = defines[name];
+            material.needsUpdate = true;
+        }
+    }
+}
+
+
+/**
+ * Allocate the render targets used by the pass for a given output resolution
+ *
+ * @param width the width of the output
+ * @param height the height of the output
+ */
+TaaRenderPass.prototype._createTargets = function(width, height) {
+    // Use FP for history buffer and motion map. Half float RGBA can be
+    // filtered and blended on WebGL2 without further extensions.
+    this._scratchBuffer = new THREE.WebGLRenderTarget(width, height, {
+        format: THREE.RGBAFormat,
+        type: THREE.HalfFloatType
+    });
+
+    // Motion and color of the current frame are rendered at the input
+    // resolution
+    let inputWidth = Math.round(width * this._options.renderScale);
+    let inputHeight = Math.round(height * this._options.renderScale);
+    if (this._isUpsampling() && !this._singlePass) {
+        this._inputTarget = new THREE.WebGLRenderTarget(inputWidth, inputHeight, {
+            format: THREE.RGBAFormat,
+            type: THREE.HalfFloatType
+        });
+    }
+
+    // Motion targets are swapped every frame so the depth of the last frame is
+    // still around to detect disocclusion
+    this._vecRenderTarget = this._createMotionTarget(inputWidth, inputHeight);
+    this._lastVecRenderTarget = this._createMotionTarget(inputWidth, inputHeight);
+}
+
+
+/**
+ * Dispose of all render targets owned by the pass, including history
+ */
+TaaRenderPass.prototype._disposeTargets = function() {
+    if (this._oldFrameTarget) {
+        this._oldFrameTarget.dispose();
+        this._oldFrameTarget = null;
+    }
+
+    if (this._inputTarget) {
+        this._inputTarget.dispose();
+        this._inputTarget = null;
+    }
+
+    if (this._spatialTarget) {
+        this._spatialTarget.dispose();
+        this._spatialTarget = null;
+    }
+
+    this._scratchBuffer.dispose();
+    for (let target of [this._vecRenderTarget, this._lastVecRenderTarget]) {
+        target.depthTexture.dispose();
+        target.dispose();
+    }
+}
+
+
+/**
+ * Create a render target for motion vectors which also keeps the depth of the
+ * scene in a texture. When rendering in a single pass, the target holds the
+ * color of the scene as well.
+ *
+ * @param width the width of the target
+ * @param height the height of the target
+ */
+TaaRenderPass.prototype._createMotionTarget = function(width, height) {
+    let target = this._singlePass
+        ? this._vecRenderer.createSinglePassTarget(width, height)
+        : this._vecRenderer.createMotionTarget(width, height);
+
+    target.depthTexture = new THREE.DepthTexture();
+    target.depthTexture.type = THREE.UnsignedIntType;
+    return target;
+}
+
+
+/**
+ * Generate the sequence of jitter offsets described by the current options.
+ * Offsets are between -1 and 1 before being scaled by jitterScale.
+ */
+TaaRenderPass.prototype._generateJitters = function() {
+    let {jitterPattern, sequenceLength, jitterScale, renderScale} = this._options;
+    let upscaleRatio = 1.0 / Math.min(renderScale, 1.0);
+    let length = Math.max(1, Math.round(sequenceLength * upscaleRatio * upscaleRatio));
+
+    let jitters;
+    switch (jitterPattern) {
+        case JitterPattern.HALTON:
+            // Use Halton Sequence [2, 3] for jitter amounts (Based on UE and
+            // Uncharted Presentations)
+            jitters = this._generateHaltonJiters(length);
+            break;
+
+        case JitterPattern.R2:
+            jitters = this._generateR2Jitters(length);
+            break;
+
+        case JitterPattern.ROTATED_GRID:
+            jitters = this._generateRotatedGridJitters(length);
+            break;
+
+        case JitterPattern.RANDOM:
+            jitters = [];
+            for (let i = 0; i < length; i++)
+                jitters.push([this._renderLoop.random() * 2 - 1, this._renderLoop.random() * 2 - 1]);
+            break;
+
+        default:
+            console.error("Invalid Jitter Pattern Set");
+            jitters = [[0, 0]];
+    }
+
+    return jitters.map(([x, y]) => [x * jitterScale, y * jitterScale]);
 }
 
 
@@ -198,3 +946,61 @@ TaaRenderPass.prototype._haltonNumber = function(base, index) {
 
     return result;
 }
+
+
+/**
+ * Generate jitter amounts based on the R2 low discrepancy sequence (Martin
+ * Roberts). Jitters are normalized to be between -1 and 1
+ *
+ * @param length the number of offsets to generate
+ */
+TaaRenderPass.prototype._generateR2Jitters = function(length) {
+    // The plastic number is the 2D analog of the golden ratio
+    const PLASTIC_NUMBER = 1.32471795724474602596;
+    let alphaX = 1 / PLASTIC_NUMBER;
+    let alphaY = 1 / (PLASTIC_NUMBER * PLASTIC_NUMBER);
+    let jitters = [];
+
+    for (let i = 1; i <= length; i++) {
+        let x = (0.5 + alphaX * i) % 1;
+        let y = (0.5 + alphaY * i) % 1;
+        jitters.push([(x - 0.5) * 2, (y - 0.5) * 2]);
+    }
+
+    return jitters;
+}
+
+
+/**
+ * Generate jitter amounts on a square grid rotated by atan(1/2) so that no two
+ * samples share a row or column. Lengths that are perfect squares fill the
+ * grid evenly. Jitters are normalized to be between -1 and 1
+ *
+ * @param length the number of offsets to generate
+ */
+TaaRenderPass.prototype._generateRotatedGridJitters = function(length) {
+    let gridSize = Math.ceil(Math.sqrt(length));
+    let angle = Math.atan(0.5);
+    let [cos, sin] = [Math.cos(angle), Math.sin(angle)];
+    let points = [];
+
+    for (let i = 0; i < length; i++) {
+        let x = ((i % gridSize) + 0.5) / gridSize - 0.5;
+        let y = (Math.floor(i / gridSize) + 0.5) / gridSize - 0.5;
+        points.push([x * cos - y * sin, x * sin + y * cos]);
+    }
+
+    // Scale the rotated grid back into the pixel
+    let extent = Math.max(...points.map(([x, y]) => Math.max(Math.abs(x), Math.abs(y))));
+    return points.map(([x, y]) => [x / (extent || 1), y / (extent || 1)]);
+}
+
+
+/**
+ * Get the texture holding motion vectors in a target from _createMotionTarget
+ *
+ * @param target the motion target
+ */
+TaaRenderPass.prototype._motionTexture = function(target) {
+    return this._singlePass ? target.texture[1] : target.texture;
+}
@@ -54,6 +54,7 @@ TargetCopier.prototype.copy = function(source, dest, customMaterial) {
     this._mesh.material.uniforms.opacity = {value: 1.0};
 
     let renderer = this._renderLoop.renderer;
+    renderer.setRenderTarget(dest);
     renderer.setClearColor(0x000000);
-    renderer.render(this._scene, this._camera, dest);
+    renderer.render(this._scene, this._camera);
 }
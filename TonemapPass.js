@@ -0,0 +1,98 @@
+/**
+ * An operator used to map HDR color to the displayable range
+ * @enum
+ */
+const TonemapOperator = {
+    // Scale by exposure and clip
+    LINEAR: 0,
+    REINHARD: 1,
+
+    // Fit of the ACES filmic curve (Based on Narkowicz 2015)
+    ACES_FILMIC: 2
+};
+
+
+/**
+ * Effects pass that tonemaps linear HDR color. This is meant to be chained
+ * after a TaaRenderPass, so history is accumulated before highlights are
+ * compressed.
+ *
+ * @param renderLoop the RenderLoop whose renderer is used
+ * @param operator the TonemapOperator to apply
+ * @param exposure a multiplier applied to color before tonemapping
+ */
+function TonemapPass(renderLoop, operator, exposure) {
+    Object.assign(this, new THREE.Pass());
+    this.operator = operator;
+    this.exposure = exposure;
+
+    this._targetCopier = new TargetCopier(renderLoop);
+    this._tonemapMaterial = this._baseTonemapMaterial.clone();
+    this._tonemapMaterial.defines = {OPERATOR: operator};
+}
+
+TonemapPass.prototype = Object.create(THREE.Pass.prototype);
+
+
+/**
+ * Dispose of the render pass. This must be done before garbage collection in
+ * order to avoid memory leaks
+ */
+TonemapPass.prototype.dispose = function() {
+    this._tonemapMaterial.dispose();
+    this._targetCopier.dispose();
+}
+
+
+/**
+ * Material that tonemaps its input. This material is compatible with
+ * TargetCopier.
+ */
+TonemapPass.prototype._baseTonemapMaterial = new THREE.ShaderMaterial({
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    depthTest: false,
+    depthWrite: false,
+
+    vertexShader: `
+    varying vec2 Uv;
+
+    void main() {
+        Uv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }`,
+
+    fragmentShader: `
+    uniform float opacity;
+    uniform float exposure;
+    uniform sampler2D tDiffuse;
+    varying vec2 Uv;
+
+    void main() {
+        vec4 texel = texture2D(tDiffuse, Uv);
+        vec3 color = texel.rgb * exposure;
+
+    #if OPERATOR == ${TonemapOperator.REINHARD}
+        color = color / (1.0 + color);
+    #elif OPERATOR == ${TonemapOperator.ACES_FILMIC}
+        color = (color * (2.51 * color + 0.03)) / (color * (2.43 * color + 0.59) + 0.14);
+    #endif
+
+        gl_FragColor = opacity * vec4(clamp(color, 0.0, 1.0), texel.a);
+    }`
+});
+
+
+/**
+ * Render the frame to the writeBuffer or to the screen if this.renderToScreen
+ * is set.
+ */
+TonemapPass.prototype.render = function(renderer, writeBuffer, readBuffer) {
+    if (this._tonemapMaterial.defines.OPERATOR != this.operator) {
+        this._tonemapMaterial.defines = {OPERATOR: this.operator};
+        this._tonemapMaterial.needsUpdate = true;
+    }
+
+    this._tonemapMaterial.uniforms.exposure = {value: this.exposure};
+    this._targetCopier.copy(readBuffer, this.renderToScreen ? null : writeBuffer, this._tonemapMaterial);
+}